@@ -1,3 +1,5 @@
 module.exports = {
   preset: 'react-native',
+  // The Stremio addon is a separate Node package with its own tests
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/stremio-addon/'],
 };
@@ -0,0 +1,80 @@
+const {
+    parseSeasonNumber,
+    parseEpisodeNumber,
+    getLinkItemQuality,
+    groupLinkListBySeason,
+    getSeasonLinkItems,
+} = require('../lib/linkList');
+
+describe('parseSeasonNumber', () => {
+    it.each([
+        ['Season 2 1080p', 2],
+        ['S02', 2],
+        ['S02E05', 2],
+        ['The Office S3 E4 720p', 3],
+        ['Season 10', 10],
+    ])('reads the season of "%s"', (title, season) => {
+        expect(parseSeasonNumber(title)).toBe(season);
+    });
+
+    it('returns null without a season marker', () => {
+        expect(parseSeasonNumber('Inception 1080p')).toBeNull();
+        expect(parseSeasonNumber(undefined)).toBeNull();
+    });
+});
+
+describe('parseEpisodeNumber', () => {
+    it.each([
+        ['Episode 5', 5],
+        ['EP05', 5],
+        ['E5', 5],
+        ['S01E05', 5],
+        ['S01.E12', 12],
+        ['05', 5],
+        ['Part 7', 7],
+        ['Season 2 - 03', 3],
+        ['Episode 1001', 1001],
+    ])('reads the episode of "%s"', (title, episode) => {
+        expect(parseEpisodeNumber(title)).toBe(episode);
+    });
+
+    it('ignores release numbers', () => {
+        expect(parseEpisodeNumber('Download 480p')).toBeNull();
+        expect(parseEpisodeNumber('Episode 3 1080p x265 10bit')).toBe(3);
+    });
+});
+
+describe('getLinkItemQuality', () => {
+    it('reads the quality from the quality field or the title', () => {
+        expect(getLinkItemQuality({ quality: '720' })).toBe('720');
+        expect(getLinkItemQuality({ title: 'Season 1 1080p WEB-DL' })).toBe('1080');
+        expect(getLinkItemQuality({ title: 'Season 1 4K HDR' })).toBe('2160');
+        expect(getLinkItemQuality({ title: 'Season 1' })).toBe('');
+    });
+});
+
+describe('season link items', () => {
+    const linkList = [
+        { title: 'Season 1 480p' },
+        { title: 'Season 1 1080p' },
+        { title: 'Season 2 720p' },
+    ];
+
+    it('groups linkList entries by season', () => {
+        const seasons = groupLinkListBySeason(linkList);
+        expect([...seasons.keys()]).toEqual([1, 2]);
+        expect(seasons.get(1)).toEqual([linkList[0], linkList[1]]);
+    });
+
+    it('picks the entries of the requested season', () => {
+        expect(getSeasonLinkItems(linkList, 2)).toEqual([linkList[2]]);
+        expect(getSeasonLinkItems(linkList, 3)).toEqual([]);
+    });
+
+    it('uses the post title when the entries carry no season', () => {
+        const qualities = [{ title: '480p' }, { title: '1080p' }];
+        expect(getSeasonLinkItems(qualities, 2, 'Dark Season 2 (2019)')).toEqual(qualities);
+        expect(getSeasonLinkItems(qualities, 1, 'Dark Season 2 (2019)')).toEqual([]);
+        expect(getSeasonLinkItems(qualities, 1, 'Dark (2017)')).toEqual(qualities);
+    });
+});
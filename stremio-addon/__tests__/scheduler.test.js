@@ -0,0 +1,89 @@
+const { mapWithConcurrency, runScheduled } = require('../lib/scheduler');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+/**
+ * Task that resolves after `ms` unless it's aborted first
+ */
+const task = (name, ms, extra = {}) => ({
+    name,
+    timeBudget: 1000,
+    run: signal => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(name), ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        });
+    }),
+    ...extra,
+});
+
+describe('mapWithConcurrency', () => {
+    it('keeps at most `limit` calls in flight and returns results in item order', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            await delay(ms);
+            inFlight--;
+            return index;
+        });
+
+        expect(results).toEqual([0, 1, 2, 3]);
+        expect(maxInFlight).toBe(2);
+    });
+});
+
+describe('runScheduled', () => {
+    it('starts tasks in priority order', async () => {
+        const started = [];
+        const tasks = [3, 1, 2].map(priority => ({
+            name: `p${priority}`,
+            priority,
+            timeBudget: 1000,
+            run: async () => started.push(priority),
+        }));
+
+        await runScheduled(tasks, { concurrency: 1, deadline: 1000 });
+        expect(started).toEqual([1, 2, 3]);
+    });
+
+    it('reports an outcome per task, in task order', async () => {
+        const outcomes = await runScheduled([
+            task('fast', 5),
+            { name: 'broken', timeBudget: 1000, run: async () => { throw new Error('Site down'); } },
+        ], { concurrency: 2, deadline: 1000 });
+
+        expect(outcomes.map(outcome => [outcome.name, outcome.status])).toEqual([['fast', 'fulfilled'], ['broken', 'rejected']]);
+        expect(outcomes[0].value).toBe('fast');
+        expect(outcomes[1].error.message).toBe('Site down');
+    });
+
+    it('aborts a task over its budget and gives its slot to the next task', async () => {
+        let slowSignal;
+        const slow = task('slow', 10000, { timeBudget: 30 });
+        const slowRun = slow.run;
+        slow.run = signal => {
+            slowSignal = signal;
+            return slowRun(signal);
+        };
+
+        const startedAt = Date.now();
+        const outcomes = await runScheduled([slow, task('next', 5)], { concurrency: 1, deadline: 1000 });
+
+        expect(outcomes.map(outcome => outcome.status)).toEqual(['timeout', 'fulfilled']);
+        expect(slowSignal.aborted).toBe(true);
+        expect(Date.now() - startedAt).toBeLessThan(500);
+    });
+
+    it('returns at the deadline, aborting tasks that are still running', async () => {
+        let signal;
+        const outcomes = await runScheduled([
+            { name: 'running', timeBudget: 1000, run: s => { signal = s; return delay(200); } },
+            task('queued', 5),
+        ], { concurrency: 1, deadline: 30 });
+
+        expect(outcomes.map(outcome => outcome.status)).toEqual(['pending', 'skipped']);
+        expect(signal.aborted).toBe(true);
+    });
+});
@@ -0,0 +1,76 @@
+const { findSearchMatches } = require('../lib/searchStrategy');
+
+let providerCount = 0;
+
+/**
+ * Search a fresh provider (searches are cached per provider) with canned results
+ * @returns {Promise<object>} - { matches, queries } with the searched (query, page) pairs
+ */
+async function search(movieInfo, params, resultsFor) {
+    const queries = [];
+    const matches = await findSearchMatches(`provider${++providerCount}`, movieInfo, params, async (query, page) => {
+        queries.push(`${query}#${page}`);
+        return resultsFor(query, page);
+    });
+    return { matches, queries };
+}
+
+const post = (title, link = title) => ({ title, link });
+
+describe('findSearchMatches', () => {
+    it('stops at the first confident match', async () => {
+        const { matches, queries } = await search({ title: 'Inception', year: '2010' }, { type: 'movie' },
+            () => [post('Inception (2010)')]);
+
+        expect(queries).toEqual(['Inception#1']);
+        expect(matches.map(match => match.result.title)).toEqual(['Inception (2010)']);
+    });
+
+    it('tries the title with its year, alternate titles and the shortened title in turn', async () => {
+        const movieInfo = {
+            title: 'Mission: Impossible - Dead Reckoning Part One',
+            year: '2023',
+            originalTitle: 'Mission: Impossible 7',
+            aliases: ['MI7'],
+        };
+        const { matches, queries } = await search(movieInfo, { type: 'movie' }, () => []);
+
+        expect(queries).toEqual([
+            'Mission: Impossible - Dead Reckoning Part One#1',
+            'Mission: Impossible - Dead Reckoning Part One 2023#1',
+            'Mission: Impossible 7#1',
+            'MI7#1',
+            'Mission: Impossible#1',
+        ]);
+        expect(matches).toEqual([]);
+    });
+
+    it('skips shortened titles that are too short to search for', async () => {
+        const { queries } = await search({ title: 'Dune: Part Two' }, { type: 'movie' }, () => []);
+        expect(queries).toEqual(['Dune: Part Two#1']);
+    });
+
+    it('searches further pages until a confident match turns up', async () => {
+        const { matches, queries } = await search({ title: 'Dark', year: '2017' }, { type: 'series', season: 1 },
+            (query, page) => (page === 1 ? [post('Dark Matter (2024)')] : [post('Dark Season 1 (2017)')]));
+
+        expect(queries).toEqual(['Dark#1', 'Dark#2']);
+        expect(matches[0].result.title).toBe('Dark Season 1 (2017)');
+    });
+
+    it('moves on when a provider ignores the page number', async () => {
+        const { queries } = await search({ title: 'Heat', year: '1995' }, { type: 'movie' },
+            () => [post('Heat Wave (2009)')]);
+        expect(queries).toEqual(['Heat#1', 'Heat#2', 'Heat 1995#1']);
+    });
+
+    it('moves on to the next query when a search fails', async () => {
+        const { matches, queries } = await search({ title: 'Heat', year: '1995' }, { type: 'movie' }, query => {
+            if (query === 'Heat') throw new Error('Site down');
+            return [post('Heat (1995)')];
+        });
+
+        expect(queries).toEqual(['Heat#1', 'Heat 1995#1']);
+        expect(matches[0].result.title).toBe('Heat (1995)');
+    });
+});
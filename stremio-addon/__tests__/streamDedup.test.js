@@ -0,0 +1,69 @@
+const { dedupeStreams } = require('../lib/streamDedup');
+
+const providerRank = new Map([['vega', 0], ['mod', 1]]);
+
+describe('dedupeStreams', () => {
+    it('drops identical URLs, ignoring the fragment', () => {
+        const streams = dedupeStreams([
+            { providerValue: 'mod', link: 'https://cdn.test/a.mkv#t=10' },
+            { providerValue: 'vega', link: 'https://cdn.test/a.mkv' },
+        ], providerRank);
+
+        expect(streams).toHaveLength(1);
+        expect(streams[0].providerValue).toBe('vega');
+        expect(streams[0].alternates).toEqual([]);
+    });
+
+    it('keeps the best-ranked mirror and lists the others as its alternates', () => {
+        const streams = dedupeStreams([
+            { providerValue: 'mod', fileName: 'Inception 2010 1080p BluRay x264.mp4', size: '1.52 GB', link: 'https://b.test/1' },
+            { providerValue: 'vega', fileName: 'Inception.2010.1080p.BluRay.x264.mkv', size: '1.5 GB', link: 'https://a.test/1' },
+        ], providerRank);
+
+        expect(streams).toHaveLength(1);
+        expect(streams[0].link).toBe('https://a.test/1');
+        expect(streams[0].alternates.map(stream => stream.link)).toEqual(['https://b.test/1']);
+    });
+
+    it('keeps files with the same name but different sizes apart', () => {
+        const streams = dedupeStreams([
+            { providerValue: 'vega', fileName: 'Movie.2020.1080p.mkv', size: '2 GB', link: 'https://a.test/1' },
+            { providerValue: 'mod', fileName: 'Movie.2020.1080p.mkv', size: '1.5 GB', link: 'https://b.test/1' },
+        ], providerRank);
+
+        expect(streams.map(stream => stream.alternates.length)).toEqual([0, 0]);
+    });
+
+    it('keeps streams without a known size apart', () => {
+        const streams = dedupeStreams([
+            { providerValue: 'vega', fileName: 'Movie.2020.1080p.mkv', link: 'https://a.test/1' },
+            { providerValue: 'mod', fileName: 'Movie.2020.1080p.mkv', link: 'https://b.test/1' },
+        ], providerRank);
+
+        expect(streams).toHaveLength(2);
+    });
+
+    it('falls back to the video file in the URL for the filename', () => {
+        const streams = dedupeStreams([
+            { providerValue: 'vega', size: '700 MB', link: 'https://a.test/files/Movie%202020%20720p.mkv' },
+            { providerValue: 'mod', size: '700 MB', link: 'https://b.test/dl/Movie.2020.720p.mp4?token=1' },
+            { providerValue: 'mod', size: '700 MB', link: 'https://c.test/watch/12345' },
+        ], providerRank);
+
+        expect(streams.map(stream => stream.link)).toEqual([
+            'https://a.test/files/Movie%202020%20720p.mkv',
+            'https://c.test/watch/12345',
+        ]);
+        expect(streams[0].alternates).toHaveLength(1);
+    });
+
+    it('ranks providers missing from the order last', () => {
+        const streams = dedupeStreams([
+            { providerValue: 'other', fileName: 'Show.S01E01.mkv', size: '300 MB', link: 'https://c.test/1' },
+            { providerValue: 'mod', fileName: 'Show.S01E01.mkv', size: '300 MB', link: 'https://b.test/1' },
+        ], providerRank);
+
+        expect(streams[0].providerValue).toBe('mod');
+        expect(streams[0].alternates[0].providerValue).toBe('other');
+    });
+});
@@ -0,0 +1,97 @@
+const { parseStreamFilters, applyStreamFilters, parseSize } = require('../lib/streamFilters');
+
+const names = streams => streams.map(stream => stream.name);
+
+describe('parseStreamFilters', () => {
+    it('normalizes the user configuration', () => {
+        expect(parseStreamFilters({
+            minQuality: '720',
+            languages: 'hi, English',
+            excludeLanguages: ['ta'],
+            maxSize: '2',
+            excludeServers: 'GDrive',
+            maxPerProvider: '0',
+        })).toEqual({
+            minQuality: 720,
+            maxQuality: null,
+            preferredLanguages: ['hindi', 'english'],
+            excludedLanguages: ['tamil'],
+            maxSizeBytes: 2 * 1024 ** 3,
+            excludedServers: ['gdrive'],
+            maxPerProvider: null,
+        });
+    });
+});
+
+describe('parseSize', () => {
+    it.each([
+        ['1.5 GB', 1.5 * 1024 ** 3],
+        ['700MB', 700 * 1024 ** 2],
+        ['2 GiB', 2 * 1024 ** 3],
+        ['unknown', null],
+        [undefined, null],
+    ])('reads "%s"', (size, bytes) => {
+        expect(parseSize(size)).toBe(bytes);
+    });
+});
+
+describe('applyStreamFilters', () => {
+    const streams = [
+        { name: '480p', quality: '480', language: 'Hindi', size: '400 MB', link: 'https://a.test/1' },
+        { name: '1080p', quality: '1080', language: 'English', size: '2.5 GB', link: 'https://a.test/2' },
+        { name: '720p tamil', quality: '720', language: 'Tamil', size: '1 GB', link: 'https://a.test/3' },
+        { name: '720p gdrive', quality: '720', language: 'Hindi-English', size: '1 GB', link: 'https://drive.google.com/4' },
+        { name: 'unknown', link: 'https://a.test/5' },
+    ];
+
+    it('keeps everything without filters', () => {
+        expect(names(applyStreamFilters(streams, parseStreamFilters({})))).toEqual(names(streams));
+    });
+
+    it('filters on quality range and size, keeping unknown values', () => {
+        const filtered = applyStreamFilters(streams, parseStreamFilters({ minQuality: '720', maxSize: '2' }));
+        expect(names(filtered)).toEqual(['720p tamil', '720p gdrive', 'unknown']);
+    });
+
+    it('drops streams only in excluded languages and on excluded servers', () => {
+        const filtered = applyStreamFilters(streams, parseStreamFilters({ excludeLanguages: 'tamil', excludeServers: 'gdrive' }));
+        expect(names(filtered)).toEqual(['480p', '1080p', 'unknown']);
+    });
+
+    it('ranks preferred languages', () => {
+        const filtered = applyStreamFilters(streams, parseStreamFilters({ languages: 'en, hi' }));
+        expect(filtered.map(stream => [stream.name, stream.languageRank])).toEqual([
+            ['480p', 1],
+            ['1080p', 0],
+            ['720p tamil', 2],
+            ['720p gdrive', 0],
+            ['unknown', 2],
+        ]);
+    });
+
+    it("keeps each provider's best streams", () => {
+        const tagged = streams.map((stream, index) => ({ ...stream, providerValue: index < 3 ? 'a' : 'b' }));
+        const filtered = applyStreamFilters(tagged, parseStreamFilters({ maxPerProvider: '1' }));
+        expect(names(filtered)).toEqual(['1080p', '720p gdrive']);
+    });
+
+    it('replaces a filtered copy with its first passing alternate', () => {
+        const deduped = [{
+            name: 'gdrive copy',
+            link: 'https://drive.google.com/x',
+            alternates: [
+                { name: 'tamil copy', language: 'Tamil', link: 'https://b.test/x' },
+                { name: 'pixeldrain copy', link: 'https://pixeldrain.com/x' },
+                { name: 'other copy', link: 'https://c.test/x' },
+            ],
+        }];
+        const [kept] = applyStreamFilters(deduped, parseStreamFilters({ excludeServers: 'gdrive', excludeLanguages: 'ta' }));
+        expect(kept.name).toBe('pixeldrain copy');
+        expect(names(kept.alternates)).toEqual(['other copy']);
+    });
+
+    it('drops a group when none of its copies pass', () => {
+        const deduped = [{ name: 'gdrive', link: 'https://drive.google.com/x', alternates: [{ name: 'gdrive 2', server: 'GDrive' }] }];
+        expect(applyStreamFilters(deduped, parseStreamFilters({ excludeServers: 'gdrive' }))).toEqual([]);
+    });
+});
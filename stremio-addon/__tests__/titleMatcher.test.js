@@ -0,0 +1,65 @@
+const { rankSearchResults } = require('../lib/titleMatcher');
+
+const titles = results => results.map(candidate => candidate.result.title);
+const posts = (...names) => names.map((title, index) => ({ title, link: `https://example.com/${index}` }));
+
+describe('rankSearchResults', () => {
+    it('prefers the exact title over sequels', () => {
+        const results = posts('Inception 2 (2027)', 'Inception (2010) 1080p BluRay');
+        expect(titles(rankSearchResults(results, { title: 'Inception', year: '2010' }, { type: 'movie' })))
+            .toEqual(['Inception (2010) 1080p BluRay']);
+    });
+
+    it('rules out other releases of the title by year', () => {
+        const results = posts('Dune (1984)', 'Dune (2021) Hindi-English');
+        expect(titles(rankSearchResults(results, { title: 'Dune', year: '2021' }, { type: 'movie' })))
+            .toEqual(['Dune (2021) Hindi-English']);
+    });
+
+    it('keeps a year that is part of the title, as in "Blade Runner 2049"', () => {
+        const results = posts('Blade Runner (1982)', 'Blade Runner 2049 (2017) 2160p WEB-DL');
+        expect(titles(rankSearchResults(results, { title: 'Blade Runner 2049', year: '2017' }, { type: 'movie' })))
+            .toEqual(['Blade Runner 2049 (2017) 2160p WEB-DL']);
+    });
+
+    it('keeps a year that is part of the title, as in "Wonder Woman 1984"', () => {
+        const results = posts('Wonder Woman (2017)', 'Wonder Woman 1984 (2020) Dual Audio');
+        expect(titles(rankSearchResults(results, { title: 'Wonder Woman 1984', year: '2020' }, { type: 'movie' })))
+            .toEqual(['Wonder Woman 1984 (2020) Dual Audio']);
+    });
+
+    it('reads a trailing year when there is none in brackets', () => {
+        const results = posts('Wonder Woman 1984 2020 1080p', 'Wonder Woman 1984 2017 720p');
+        expect(titles(rankSearchResults(results, { title: 'Wonder Woman 1984', year: '2020' }, { type: 'movie' })))
+            .toEqual(['Wonder Woman 1984 2020 1080p']);
+    });
+
+    it('treats a leading number as part of the name', () => {
+        const results = posts('1917 (2019) 1080p');
+        expect(titles(rankSearchResults(results, { title: '1917', year: '2019' }, { type: 'movie' })))
+            .toEqual(['1917 (2019) 1080p']);
+    });
+
+    it('matches alternate titles', () => {
+        const results = posts('La Casa de Papel Season 1');
+        const movieInfo = { title: 'Money Heist', originalTitle: 'La casa de papel', year: '2017' };
+        expect(titles(rankSearchResults(results, movieInfo, { type: 'series', season: 1 })))
+            .toEqual(['La Casa de Papel Season 1']);
+    });
+
+    it('prefers the requested season', () => {
+        const results = posts('Dark Season 1 (2017)', 'Dark Season 2 (2019)');
+        expect(titles(rankSearchResults(results, { title: 'Dark', year: '2017' }, { type: 'series', season: 2 })))
+            .toEqual(['Dark Season 2 (2019)', 'Dark Season 1 (2017)']);
+    });
+
+    it('pushes series posts down for movies', () => {
+        const results = posts('Fargo Season 1', 'Fargo (1996)');
+        expect(titles(rankSearchResults(results, { title: 'Fargo', year: '1996' }, { type: 'movie' })))
+            .toEqual(['Fargo (1996)']);
+    });
+
+    it('skips results without a link', () => {
+        expect(rankSearchResults([{ title: 'Inception' }, null], { title: 'Inception' }, { type: 'movie' })).toEqual([]);
+    });
+});
@@ -2,82 +2,291 @@
  * Configuration for Vega Stremio Addon
  */
 
+const path = require('path');
+
 module.exports = {
     // Addon server port
     port: process.env.PORT || 5000,
 
+    // Logging
+    log: {
+        // Lowest level written: debug, info, warn or error
+        level: process.env.LOG_LEVEL || 'info',
+
+        // Write JSON lines instead of text (LOG_FORMAT=json)
+        json: process.env.LOG_FORMAT === 'json',
+    },
+
     // Vega providers repository base URL
     vegaProvidersBaseUrl: 'https://raw.githubusercontent.com/Zenda-Cross/vega-providers/refs/heads/main',
 
-    // All active providers from vega-providers manifest
-    // Providers marked with disabled: true in the manifest are excluded
-    enabledProviders: [
+    // Local overrides for the manifest provider list (pin, hide, per-provider fields)
+    providerOverridesFile: process.env.PROVIDER_OVERRIDES || path.join(__dirname, 'providers.override.json'),
+
+    // Local IMDb ID mapping ({ "tt...": { "tmdb": "...", "kitsu": "...", "mal": "..." } })
+    idMappingFile: process.env.ID_MAPPING_FILE || path.join(__dirname, 'ids.mapping.json'),
+
+    // ID resolvers, tried in order until a TMDB ID is found (mappingFile, animeList, tmdb, cinemeta)
+    idResolvers: ['mappingFile', 'animeList', 'tmdb', 'cinemeta'],
+
+    // Anime ID mapping (kitsu:/mal: IDs, per-entry and absolute episode numbering)
+    anime: {
+        // Kitsu/MAL/AniList/IMDb/TMDB ID mapping list
+        listUrl: 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json',
+
+        // How long to use the mapping list before fetching it again (in milliseconds)
+        listExpiry: 24 * 60 * 60 * 1000, // 24 hours
+
+        // How long to wait before trying again after the list failed to load (in milliseconds)
+        listRetryDelay: 10 * 60 * 1000, // 10 minutes
+
+        // How long an IMDb request waits for the list while it is first loading (in milliseconds)
+        listWait: 2000,
+
+        // Kitsu API, for titles and episode counts
+        kitsuApiUrl: 'https://kitsu.io/api/edge',
+    },
+
+    // TMDB API, used by the tmdb ID resolver when a key is set
+    tmdb: {
+        apiKey: process.env.TMDB_API_KEY || '',
+    },
+
+    // Bundled provider list, only used when the vega-providers manifest
+    // can't be fetched and no copy of it is cached on disk
+    fallbackProviders: [
         // === GLOBAL PROVIDERS (work worldwide) ===
-        { value: 'autoEmbed', displayName: 'MultiStream', description: 'Multiple streaming sources via WebStreamer and Rive', priority: 1 },
-        { value: 'vega', displayName: 'VegaMovies', description: 'VegaMovies streaming', priority: 2 },
-        { value: 'drive', displayName: 'MoviesDrive', description: 'MoviesDrive streaming', priority: 3 },
-        { value: 'multi', displayName: 'MultiMovies', description: 'MultiMovies streaming', priority: 4 },
-        { value: '4khdhub', displayName: '4khdHub', description: '4K HD Hub', priority: 5 },
-        { value: '1cinevood', displayName: 'Cinewood', description: 'Cinewood streaming', priority: 6 },
-        { value: 'world4u', displayName: 'World4uFree', description: 'World4uFree streaming', priority: 7 },
-        { value: 'katmovies', displayName: 'KatMoviesHd', description: 'KatMoviesHd streaming', priority: 8 },
-        { value: 'mod', displayName: 'MoviesMod', description: 'MoviesMod streaming', priority: 9 },
-        { value: 'uhd', displayName: 'UHDMovies', description: 'UHD Movies', priority: 10 },
-        { value: 'protonMovies', displayName: 'ProtonMovies', description: 'Proton Movies', priority: 11 },
-        { value: 'filmyfly', displayName: 'FilmyFly', description: 'FilmyFly streaming', priority: 12 },
-        { value: 'movies4u', displayName: 'Movies4U', description: 'Movies4U streaming', priority: 13 },
-        { value: 'kmMovies', displayName: 'KmMovies', description: 'KM Movies', priority: 14 },
-        { value: 'zeefliz', displayName: 'Zeefliz', description: 'Zeefliz streaming', priority: 15 },
-        { value: 'ringz', displayName: 'Ringz', description: 'Ringz streaming', priority: 16 },
-        { value: 'hdhub4u', displayName: 'HdHub4u', description: 'HD Hub 4U', priority: 17 },
+        { value: 'autoEmbed', displayName: 'MultiStream', description: 'Multiple streaming sources via WebStreamer and Rive', priority: 1, type: 'global' },
+        { value: 'vega', displayName: 'VegaMovies', description: 'VegaMovies streaming', priority: 2, type: 'global' },
+        { value: 'drive', displayName: 'MoviesDrive', description: 'MoviesDrive streaming', priority: 3, type: 'global' },
+        { value: 'multi', displayName: 'MultiMovies', description: 'MultiMovies streaming', priority: 4, type: 'global' },
+        { value: '4khdhub', displayName: '4khdHub', description: '4K HD Hub', priority: 5, type: 'global' },
+        { value: '1cinevood', displayName: 'Cinewood', description: 'Cinewood streaming', priority: 6, type: 'global' },
+        { value: 'world4u', displayName: 'World4uFree', description: 'World4uFree streaming', priority: 7, type: 'global' },
+        { value: 'katmovies', displayName: 'KatMoviesHd', description: 'KatMoviesHd streaming', priority: 8, type: 'global' },
+        { value: 'mod', displayName: 'MoviesMod', description: 'MoviesMod streaming', priority: 9, type: 'global' },
+        { value: 'uhd', displayName: 'UHDMovies', description: 'UHD Movies', priority: 10, type: 'global' },
+        { value: 'protonMovies', displayName: 'ProtonMovies', description: 'Proton Movies', priority: 11, type: 'global' },
+        { value: 'filmyfly', displayName: 'FilmyFly', description: 'FilmyFly streaming', priority: 12, type: 'global' },
+        { value: 'movies4u', displayName: 'Movies4U', description: 'Movies4U streaming', priority: 13, type: 'global' },
+        { value: 'kmMovies', displayName: 'KmMovies', description: 'KM Movies', priority: 14, type: 'global' },
+        { value: 'zeefliz', displayName: 'Zeefliz', description: 'Zeefliz streaming', priority: 15, type: 'global' },
+        { value: 'ringz', displayName: 'Ringz', description: 'Ringz streaming', priority: 16, type: 'global' },
+        { value: 'hdhub4u', displayName: 'HdHub4u', description: 'HD Hub 4U', priority: 17, type: 'global' },
 
         // === ENGLISH PROVIDERS ===
-        { value: 'showbox', displayName: 'ShowBox', description: 'ShowBox streaming', priority: 18 },
-        { value: 'ridoMovies', displayName: 'RidoMovies', description: 'Rido Movies', priority: 19 },
-        { value: 'flixhq', displayName: 'FlixHQ', description: 'FlixHQ streaming', priority: 20 },
-        { value: 'primewire', displayName: 'Primewire', description: 'Primewire streaming', priority: 21 },
-        { value: 'hiAnime', displayName: 'HiAnime', description: 'HiAnime (Anime)', priority: 22 },
-        { value: 'animetsu', displayName: 'Animetsu', description: 'Animetsu (Anime)', priority: 23 },
-        { value: 'tokyoInsider', displayName: 'TokyoInsider', description: 'Tokyo Insider (Anime)', priority: 24 },
-        { value: 'kissKh', displayName: 'KissKh', description: 'KissKh (K-Drama)', priority: 25 },
+        { value: 'showbox', displayName: 'ShowBox', description: 'ShowBox streaming', priority: 18, type: 'english' },
+        { value: 'ridoMovies', displayName: 'RidoMovies', description: 'Rido Movies', priority: 19, type: 'english' },
+        { value: 'flixhq', displayName: 'FlixHQ', description: 'FlixHQ streaming', priority: 20, type: 'english' },
+        { value: 'primewire', displayName: 'Primewire', description: 'Primewire streaming', priority: 21, type: 'english' },
+        { value: 'hiAnime', displayName: 'HiAnime', description: 'HiAnime (Anime)', priority: 22, type: 'anime' },
+        { value: 'animetsu', displayName: 'Animetsu', description: 'Animetsu (Anime)', priority: 23, type: 'anime' },
+        { value: 'tokyoInsider', displayName: 'TokyoInsider', description: 'Tokyo Insider (Anime)', priority: 24, type: 'anime' },
+        { value: 'kissKh', displayName: 'KissKh', description: 'KissKh (K-Drama)', priority: 25, type: 'drama' },
 
         // === INDIA/REGIONAL PROVIDERS ===
-        { value: 'ogomovies', displayName: 'Ogomovies', description: 'Ogo Movies (India)', priority: 26 },
-        { value: 'moviezwap', displayName: 'MoviezWap', description: 'MoviezWap (India)', priority: 27 },
-        { value: 'luxMovies', displayName: 'RogMovies', description: 'Rog Movies (India)', priority: 28 },
-        { value: 'topmovies', displayName: 'TopMovies', description: 'Top Movies (India)', priority: 29 },
-        { value: 'Joya9tv', displayName: 'Joya9tv', description: 'Joya9tv (India)', priority: 30 },
+        { value: 'ogomovies', displayName: 'Ogomovies', description: 'Ogo Movies (India)', priority: 26, type: 'india' },
+        { value: 'moviezwap', displayName: 'MoviezWap', description: 'MoviezWap (India)', priority: 27, type: 'india' },
+        { value: 'luxMovies', displayName: 'RogMovies', description: 'Rog Movies (India)', priority: 28, type: 'india' },
+        { value: 'topmovies', displayName: 'TopMovies', description: 'Top Movies (India)', priority: 29, type: 'india' },
+        { value: 'Joya9tv', displayName: 'Joya9tv', description: 'Joya9tv (India)', priority: 30, type: 'india' },
 
         // === INTERNATIONAL PROVIDERS ===
-        { value: 'guardahd', displayName: 'GuardaHD', description: 'GuardaHD (Italy)', priority: 31 },
+        { value: 'guardahd', displayName: 'GuardaHD', description: 'GuardaHD (Italy)', priority: 31, type: 'italy' },
     ],
 
-    // Disabled providers (for reference):
-    // - cinemaLuxe (disabled)
-    // - movieBox (disabled)
-    // - katMovieFix (disabled)
-    // - netflixMirror (disabled)
-    // - primeMirror (disabled)
-    // - a111477 (disabled)
-    // - vadapav (disabled)
-    // - moviesApi (disabled)
-    // - dooflix (disabled)
-    // - skyMovieHD (disabled)
-
     // Cache settings
     cache: {
+        // How long to use the providers manifest before fetching it again (in milliseconds)
+        manifestCacheExpiry: 60 * 60 * 1000, // 1 hour
+
         // How long to cache provider modules (in milliseconds)
         moduleCacheExpiry: 24 * 60 * 60 * 1000, // 24 hours
 
-        // How long to cache stream results (in milliseconds)
+        // Where downloaded provider modules are persisted
+        moduleCacheDir: process.env.MODULE_CACHE_DIR || path.join(__dirname, '.cache', 'modules'),
+
+        // Only use modules already on disk, never download (MODULE_OFFLINE=true)
+        moduleOfflineMode: process.env.MODULE_OFFLINE === 'true',
+
+        // How long to cache provider metadata for a post (in milliseconds)
+        metaCacheExpiry: 60 * 60 * 1000, // 1 hour
+
+        // Maximum number of cached provider post metadata entries
+        metaCacheMaxEntries: 2000,
+
+        // How long stream results are served without refreshing (in milliseconds)
         streamCacheExpiry: 30 * 60 * 1000, // 30 minutes
+
+        // Empty stream results are refreshed sooner, the provider may just have been slow
+        emptyStreamCacheExpiry: 5 * 60 * 1000, // 5 minutes
+
+        // How long stale stream results are still served while refreshing in the background
+        streamStaleExpiry: 6 * 60 * 60 * 1000, // 6 hours
+
+        // Maximum number of cached provider stream results
+        streamCacheMaxEntries: 2000,
+
+        // How long a stream link probe result is reused (in milliseconds)
+        probeCacheExpiry: 10 * 60 * 1000, // 10 minutes
+
+        // Maximum number of cached probe results
+        probeCacheMaxEntries: 5000,
+
+        // Maximum number of remembered catalog and search page sizes
+        pageSizeCacheMaxEntries: 1000,
+
+        // How long resolved IDs are reused (in milliseconds)
+        idCacheExpiry: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+        // How long a failed ID lookup is remembered before trying again
+        idNegativeCacheExpiry: 6 * 60 * 60 * 1000, // 6 hours
+
+        // Maximum number of cached ID resolutions
+        idCacheMaxEntries: 10000,
+
+        // How long provider search results are reused (in milliseconds)
+        searchCacheExpiry: 60 * 60 * 1000, // 1 hour
+
+        // Maximum number of cached provider searches
+        searchCacheMaxEntries: 2000,
+    },
+
+    // Stream link probing: drop dead links and fill in missing sizes (STREAM_PROBE=true)
+    probe: {
+        enabled: process.env.STREAM_PROBE === 'true',
+
+        // Links probed at once per request
+        concurrency: 6,
+    },
+
+    // Provider scheduling for stream requests (times in milliseconds)
+    scheduler: {
+        // Providers queried at once
+        concurrency: 8,
+
+        // Time a provider gets to return streams before it's aborted (a provider entry can set its own timeBudget)
+        providerTimeBudget: 25000,
+
+        // Streams are returned once this much time has passed, even if providers are still running
+        requestDeadline: 40000,
+    },
+
+    // Provider module sources and updates
+    modules: {
+        // Raw file URL of a commit, branch or tag, for providers pinned with moduleRef ({ref} is replaced)
+        refUrl: 'https://raw.githubusercontent.com/Zenda-Cross/vega-providers/{ref}',
+
+        // Test channel base URL (like the app's test mode), for providers pinned with moduleRef "test"
+        testBaseUrl: process.env.PROVIDERS_TEST_URL || '',
+
+        // How long test channel modules are cached (in milliseconds)
+        testCacheExpiry: 200000,
+
+        // Local provider directory for development (a vega-providers checkout or its dist folder),
+        // used by providers with moduleRef "local" and those listed in PROVIDERS_LOCAL (* for all)
+        localDir: process.env.PROVIDERS_LOCAL_DIR || '',
+        localProviders: (process.env.PROVIDERS_LOCAL || '').split(',').map(value => value.trim()).filter(Boolean),
+
+        // A freshly updated module is rolled back to its previous version after this many calls in a row
+        // fail in its own code (network errors, site outages and timeouts don't count)
+        rollbackFailures: 3,
+
+        // How long after an update failures still trigger a rollback (in milliseconds)
+        rollbackWindow: 6 * 60 * 60 * 1000, // 6 hours
+    },
+
+    // Prometheus metrics on /metrics
+    metrics: {
+        // Token scrapers must send (Authorization: Bearer <token> or ?token=); open when empty
+        // (also protects the /status page)
+        token: process.env.METRICS_TOKEN || '',
+    },
+
+    // Provider health on /status and the circuit breaker
+    health: {
+        // Circuit breaker on stream requests; when off, failing providers keep being queried
+        circuitBreaker: process.env.CIRCUIT_BREAKER !== 'false',
+
+        // A provider is skipped after this many failed requests in a row
+        failureThreshold: 5,
+
+        // How long a skipped provider rests before a trial request (in milliseconds)
+        cooldown: 5 * 60 * 1000, // 5 minutes
+
+        // Recent request durations kept per provider
+        latencySamples: 20,
+    },
+
+    // Worker threads that run provider module code
+    sandbox: {
+        // Workers in the pool
+        workers: 2,
+
+        // Heap limit per worker (in MB); a worker that exceeds it is replaced
+        maxMemoryMb: 256,
+
+        // Hard limit for any call into a module, even one that ignores its abort signal (in milliseconds)
+        callTimeout: 35000,
+
+        // A worker that doesn't answer a ping within this time after a timeout is restarted (in milliseconds)
+        pingTimeout: 2000,
+    },
+
+    // Streaming relay for clients that ignore proxyHeaders (enabled per user on the configure page)
+    relay: {
+        // Key used to sign relay URLs; without it a random key is used and URLs stop working on restart
+        secret: process.env.RELAY_SECRET || '',
+
+        // Public URL of the addon, relay URLs point here
+        publicUrl: process.env.ADDON_URL || '',
+
+        // How long a relay URL stays valid (in milliseconds)
+        linkExpiry: 6 * 60 * 60 * 1000, // 6 hours
+    },
+
+    // Search-based providers
+    search: {
+        // Minimum score for a search result to be used (1 is an exact title match)
+        matchThreshold: 0.6,
+
+        // Matching posts tried, best first, until one yields streams
+        maxCandidates: 3,
+
+        // Queries tried in order: title, title + year, alternate (original/AKA) titles,
+        // and the title without its subtitle
+        queryStrategies: ['title', 'titleYear', 'aliases', 'shortTitle'],
+
+        // Alternate titles (from TMDB) searched per title, besides the original title
+        maxAliases: 3,
+
+        // A title without its subtitle is only searched when it keeps this many characters
+        // ("Mission" alone matches far too much)
+        minShortTitleLength: 10,
+
+        // Result pages searched per query
+        maxPages: 2,
+
+        // Searching stops once a result scores this high (an exact title match)
+        confidentScore: 1,
+    },
+
+    // Concurrency limits
+    concurrency: {
+        // getStream calls in flight per provider when resolving every quality of a post
+        linkResolution: 3,
     },
 
     // Request timeout settings (in milliseconds)
     timeout: {
         providerDownload: 15000,
         streamFetch: 30000,
+        searchFetch: 15000,
+        catalogFetch: 15000,
         imdbToTmdb: 10000,
+        animeMapping: 15000,
+        streamProbe: 6000,
+        relayConnect: 15000,
     },
 
     // Common headers for requests
@@ -3,64 +3,55 @@
  * Main entry point with advanced metadata formatting and cleanup logic.
  */
 
-const { addonBuilder, serveHTTP } = require('stremio-addon-sdk');
+const express = require('express');
+const { addonBuilder, getRouter } = require('stremio-addon-sdk');
 const config = require('./config');
 const { getStreamsFromAllProviders } = require('./lib/providerLoader');
-const { imdbToTmdb, parseStremioId } = require('./lib/imdbToTmdb');
+const { parseStremioId } = require('./lib/imdbToTmdb');
+const { resolveIds } = require('./lib/idResolver');
+const { ANIME_ID_PREFIXES, isAnimeId, resolveAnimeId, getAnimeForImdb } = require('./lib/animeMapping');
 const { getSubtitles } = require('./lib/subtitleProvider');
+const { buildCatalogs, getCatalog } = require('./lib/catalogProvider');
+const { getVegaMeta, getStreamsFromVegaId } = require('./lib/metaProvider');
+const { VEGA_ID_PREFIX, isVegaId } = require('./lib/vegaId');
+const {
+    loadProviders,
+    getEnabledProviders,
+    getUserProviders,
+    groupProvidersBySection,
+    getTypePresets,
+} = require('./lib/providerRegistry');
+const { configurePage } = require('./lib/configurePage');
+const { parseStreamFilters, applyStreamFilters } = require('./lib/streamFilters');
+const { dedupeStreams } = require('./lib/streamDedup');
+const { isProbeEnabled, probeStreams } = require('./lib/streamProbe');
+const { isRelayAvailable, shouldRelay, getRelayUrl, relayHandler } = require('./lib/streamRelay');
+const { hlsHandler } = require('./lib/hlsProxy');
+const logger = require('./lib/logger');
+const { checkMetricsToken, metricsHandler, recordStreamResponse } = require('./lib/metrics');
+const { getProviderStatus, statusPage } = require('./lib/statusPage');
 
 const manifest = {
     id: 'org.vega.stremio.addon',
     version: '1.6.0',
     name: 'Vega Providers',
     description: 'Advanced streaming with Auto-Size detection, Multi-Language support, and Clean UI.',
-    types: ['movie', 'series'],
-    resources: ['stream', 'subtitles'],
-    idPrefixes: ['tt'],
+    types: ['movie', 'series', 'anime'],
+    resources: [
+        'catalog',
+        { name: 'meta', types: ['movie', 'series', 'anime'], idPrefixes: [VEGA_ID_PREFIX] },
+        'stream',
+        { name: 'subtitles', types: ['movie', 'series'], idPrefixes: ['tt'] },
+    ],
+    idPrefixes: ['tt', VEGA_ID_PREFIX, ...ANIME_ID_PREFIXES],
     catalogs: [],
     background: 'https://raw.githubusercontent.com/vega-org/vega-app/main/assets/icon.png',
     logo: 'https://raw.githubusercontent.com/vega-org/vega-app/main/assets/icon.png',
     behaviorHints: { configurable: true, configurationRequired: false },
-    config: [
-        { key: 'info', type: 'text', title: '--- GLOBAL PROVIDERS ---' },
-        { key: 'autoEmbed', type: 'checkbox', default: 'true', title: 'MultiStream (Best for most movies)' },
-        { key: 'vega', type: 'checkbox', default: 'true', title: 'VegaMovies' },
-        { key: 'drive', type: 'checkbox', default: 'true', title: 'MoviesDrive' },
-        { key: 'multi', type: 'checkbox', default: 'true', title: 'MultiMovies' },
-        { key: '4khdhub', type: 'checkbox', default: 'true', title: '4khdHub' },
-        { key: '1cinevood', type: 'checkbox', default: 'true', title: 'Cinewood' },
-        { key: 'world4u', type: 'checkbox', default: 'true', title: 'World4uFree' },
-        { key: 'katmovies', type: 'checkbox', default: 'true', title: 'KatMoviesHd' },
-        { key: 'mod', type: 'checkbox', default: 'true', title: 'MoviesMod' },
-        { key: 'uhd', type: 'checkbox', default: 'true', title: 'UHDMovies' },
-        { key: 'protonMovies', type: 'checkbox', default: 'true', title: 'ProtonMovies' },
-        { key: 'filmyfly', type: 'checkbox', default: 'true', title: 'FilmyFly' },
-        { key: 'movies4u', type: 'checkbox', default: 'true', title: 'Movies4U' },
-        { key: 'kmMovies', type: 'checkbox', default: 'true', title: 'KmMovies' },
-        { key: 'zeefliz', type: 'checkbox', default: 'true', title: 'Zeefliz' },
-        { key: 'ringz', type: 'checkbox', default: 'true', title: 'Ringz' },
-        { key: 'hdhub4u', type: 'checkbox', default: 'true', title: 'HdHub4u' },
-        { key: 'info2', type: 'text', title: '--- ENGLISH PROVIDERS ---' },
-        { key: 'showbox', type: 'checkbox', default: 'true', title: 'ShowBox' },
-        { key: 'ridoMovies', type: 'checkbox', default: 'true', title: 'RidoMovies' },
-        { key: 'flixhq', type: 'checkbox', default: 'true', title: 'FlixHQ' },
-        { key: 'primewire', type: 'checkbox', default: 'true', title: 'Primewire' },
-        { key: 'hiAnime', type: 'checkbox', default: 'true', title: 'HiAnime (Anime)' },
-        { key: 'animetsu', type: 'checkbox', default: 'true', title: 'Animetsu (Anime)' },
-        { key: 'tokyoInsider', type: 'checkbox', default: 'true', title: 'TokyoInsider (Anime)' },
-        { key: 'kissKh', type: 'checkbox', default: 'true', title: 'KissKh (K-Drama)' },
-        { key: 'info3', type: 'text', title: '--- INDIA/REGIONAL PROVIDERS ---' },
-        { key: 'ogomovies', type: 'checkbox', default: 'true', title: 'Ogomovies (India)' },
-        { key: 'moviezwap', type: 'checkbox', default: 'true', title: 'MoviezWap (India)' },
-        { key: 'luxMovies', type: 'checkbox', default: 'true', title: 'RogMovies (India)' },
-        { key: 'topmovies', type: 'checkbox', default: 'true', title: 'TopMovies (India)' },
-        { key: 'Joya9tv', type: 'checkbox', default: 'true', title: 'Joya9tv (India)' },
-        { key: 'guardahd', type: 'checkbox', default: 'true', title: 'GuardaHD (Italy)' },
-    ],
+    // Providers are picked on the /configure page; this entry enables the SDK's config URL prefix
+    config: [{ key: 'providers', type: 'text', title: 'Enabled providers, in priority order' }],
 };
 
-const builder = new addonBuilder(manifest);
-
 /**
  * CLEANER UTILITIES
  */
@@ -107,31 +98,85 @@ const formatStreamTitle = (stream, cleanQuality) => {
         }
     }
 
+    // List mirrors of the same file from other providers/hosts
+    if (stream.alternates && stream.alternates.length > 0) {
+        const mirrors = [...new Set(stream.alternates.map(alt => alt.server || cleanProviderName(alt.providerName)))];
+        title += `\n🔁 Also on: ${mirrors.join(', ')}`;
+    }
+
     return title;
 };
 
-builder.defineStreamHandler(async (args) => {
-    // Handle configuration
-    const userConfig = args.config || {};
-    let enabledProvidersList = config.enabledProviders;
-    if (Object.keys(userConfig).length > 0) {
-        enabledProvidersList = config.enabledProviders.filter(p => {
-            const val = userConfig[p.value];
-            return val === 'true' || val === 'on' || val === true || val === undefined;
-        });
+const catalogHandler = async (args) => {
+    try {
+        const metas = await getCatalog(args, getUserProviders(args.config || {}));
+        return { metas };
+    } catch (error) {
+        logger.error(`Catalog handler error: ${error.message}`);
+        return { metas: [] };
     }
+};
 
+const metaHandler = async (args) => {
     try {
-        const { imdbId, season, episode } = parseStremioId(args.id);
-        const type = args.type === 'series' ? 'series' : 'movie';
-        const tmdbId = await imdbToTmdb(imdbId, type);
+        const meta = await getVegaMeta(args.id, getUserProviders(args.config || {}));
+        return { meta };
+    } catch (error) {
+        logger.error(`Meta handler error: ${error.message}`);
+        return { meta: null };
+    }
+};
+
+// Provider-native items already point at a post, so no Cinemeta lookup is needed
+const getVegaStreams = async (args, enabledProvidersList) => {
+    if (isVegaId(args.id)) return getStreamsFromVegaId(args.id, enabledProvidersList);
+
+    // kitsu:/mal: IDs are mapped to IMDb numbering, anime providers get the entry numbering
+    if (isAnimeId(args.id)) {
+        const resolved = await resolveAnimeId(args.id);
+        if (!resolved) return [];
+
+        return getStreamsFromAllProviders({
+            imdbId: resolved.imdbId,
+            tmdbId: resolved.ids.tmdb || '',
+            ids: resolved.ids,
+            type: resolved.type,
+            season: resolved.season || '',
+            episode: resolved.episode || '',
+            anime: resolved.anime,
+        }, enabledProvidersList);
+    }
+
+    const { imdbId, season, episode } = parseStremioId(args.id);
+    const type = args.type === 'series' ? 'series' : 'movie';
+    if (!imdbId) return [];
 
-        if (!tmdbId && !imdbId) return { streams: [] };
+    const [ids, anime] = await Promise.all([
+        resolveIds(imdbId, type),
+        getAnimeForImdb(imdbId, season, episode),
+    ]);
+
+    return getStreamsFromAllProviders(
+        { imdbId, tmdbId: ids.tmdb || '', ids, type, season: season || '', episode: episode || '', anime },
+        enabledProvidersList
+    );
+};
+
+const streamHandler = async (args) => {
+    // Probing only gets the time left until the providers' deadline, counted from here
+    const deadline = Date.now() + config.scheduler.requestDeadline;
+    const enabledProvidersList = getUserProviders(args.config || {});
+    const streamFilters = parseStreamFilters(args.config || {});
+
+    try {
+        // Provider rank in the user's order, used to pick between mirrors and to break quality ties
+        const providerRank = new Map(enabledProvidersList.map((p, index) => [p.value, index]));
 
-        const vegaStreams = await getStreamsFromAllProviders(
-            { imdbId, tmdbId: tmdbId || '', type, season: season || '', episode: episode || '' }, 
-            enabledProvidersList
-        );
+        // Probing runs before filtering, so sizes it fills in count towards the size limit;
+        // filtering keeps the first copy of each file (kept stream or alternate) that passes
+        const uniqueStreams = dedupeStreams(await getVegaStreams(args, enabledProvidersList), providerRank);
+        const liveStreams = await probeStreams(uniqueStreams, { enabled: isProbeEnabled(args.config), deadline });
+        const vegaStreams = applyStreamFilters(liveStreams, streamFilters);
 
         const stremioStreams = vegaStreams.map((stream) => {
             // Fix double quality issue (e.g. "2160p[2160p]" -> "2160p")
@@ -140,13 +185,19 @@ builder.defineStreamHandler(async (args) => {
 
             const provider = cleanProviderName(stream.providerName);
 
+            // Relayed streams get their headers from the addon instead of the client
+            const relayed = shouldRelay(stream, args.config);
+
             return {
+                languageRank: stream.languageRank,
+                rank: providerRank.get(stream.providerValue) ?? providerRank.size,
                 name: `${provider}\n${cleanQ}`, // Compact Name for left column
                 title: formatStreamTitle(stream, cleanQ), // Rich Description
-                url: stream.link,
+                url: relayed ? getRelayUrl(stream) : stream.link,
                 behaviorHints: {
-                    notWebReady: true,
-                    proxyHeaders: stream.headers ? { request: stream.headers } : undefined
+                    // Relayed streams come from the addon with CORS headers, so web players can use them
+                    notWebReady: relayed ? undefined : true,
+                    proxyHeaders: stream.headers && !relayed ? { request: stream.headers } : undefined
                 },
                 subtitles: stream.subtitles ? stream.subtitles.map((sub, index) => ({
                     id: `${stream.providerValue || 'vega'}-sub-${index}`,
@@ -156,27 +207,103 @@ builder.defineStreamHandler(async (args) => {
             };
         });
 
-        // Sort: 4K first, then 1080p
+        // Sort: preferred languages first, then 4K, then 1080p; same quality follows the user's provider order
         stremioStreams.sort((a, b) => {
             const getQ = (s) => parseInt(s.name.match(/\d{3,4}/)?.[0] || '0');
-            return getQ(b) - getQ(a);
+            return a.languageRank - b.languageRank || getQ(b) - getQ(a) || a.rank - b.rank;
         });
 
-        return { streams: stremioStreams.filter(s => s.url) };
+        const streams = stremioStreams.filter(s => s.url).map(({ rank, languageRank, ...stream }) => stream);
+        recordStreamResponse(streams.length);
+        return { streams };
 
     } catch (error) {
-        console.error('Stream Handler Error:', error);
+        logger.error(`Stream handler error: ${error.message}`);
         return { streams: [] };
     }
-});
+};
 
-builder.defineSubtitlesHandler(async (args) => {
+const subtitlesHandler = async (args) => {
     try {
         const { imdbId, season, episode } = parseStremioId(args.id);
         const subtitles = await getSubtitles(imdbId, args.type, season, episode);
         return { subtitles: subtitles || [] };
     } catch (e) { return { subtitles: [] }; }
-});
+};
+
+const configureHandler = (req, res) => {
+    let userConfig = {};
+    try {
+        userConfig = req.params.config ? JSON.parse(req.params.config) : {};
+    } catch (e) { /* Unreadable config, start from the defaults */ }
+
+    const providers = getEnabledProviders();
+    const selected = getUserProviders(userConfig).map(p => p.value);
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(configurePage({
+        manifest,
+        sections: groupProvidersBySection(providers),
+        presets: getTypePresets(providers),
+        providers,
+        selected,
+        userConfig,
+        relayAvailable: isRelayAvailable(),
+    }));
+};
+
+// Provider status page and its JSON version, protected like /metrics; without a token the
+// page is public, so error messages are left out
+const statusHandler = async (req, res) => {
+    if (!checkMetricsToken(req, res)) return;
+
+    try {
+        const errorsHidden = !config.metrics.token;
+        const providers = await getProviderStatus({ includeErrors: !errorsHidden });
+        if (req.path.endsWith('.json')) {
+            res.json({ providers });
+            return;
+        }
+
+        const jsonUrl = `status.json${req.query.token ? `?token=${encodeURIComponent(req.query.token)}` : ''}`;
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(statusPage({ manifest, providers, jsonUrl, errorsHidden }));
+    } catch (error) {
+        logger.error(`Status handler error: ${error.message}`);
+        res.status(500).end('Failed to collect provider status');
+    }
+};
+
+async function startServer() {
+    const providers = await loadProviders();
+
+    // Catalogs come from the providers' catalog modules, so they are built before serving
+    manifest.catalogs = await buildCatalogs(providers, manifest);
+
+    const builder = new addonBuilder(manifest);
+    builder.defineCatalogHandler(catalogHandler);
+    builder.defineMetaHandler(metaHandler);
+    builder.defineStreamHandler(streamHandler);
+    builder.defineSubtitlesHandler(subtitlesHandler);
+
+    const app = express();
+    app.use(logger.requestLogger);
+    app.get('/metrics', metricsHandler);
+    app.get(['/status', '/status.json'], statusHandler);
+    app.get('/relay/:token/:filename?', relayHandler);
+    app.get('/hls/:token/:filename?', hlsHandler);
+    app.use(getRouter(builder.getInterface()));
+
+    app.get('/', (req, res) => res.redirect('/configure'));
+    app.get('/:config?/configure', configureHandler);
+
+    const port = config.port || 7000;
+    const server = app.listen(port, () => {
+        logger.info(`HTTP addon accessible at: http://127.0.0.1:${server.address().port}/manifest.json`);
+    });
+}
 
-const port = config.port || 7000;
-serveHTTP(builder.getInterface(), { port });
\ No newline at end of file
+startServer().catch(error => {
+    logger.error(`Failed to start the addon: ${error.message}`);
+    process.exit(1);
+});
\ No newline at end of file
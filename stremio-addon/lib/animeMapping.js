@@ -0,0 +1,315 @@
+/**
+ * Anime Mapping
+ * Accepts kitsu: and mal: IDs, and maps between IMDb season/episode numbering and the
+ * numbering anime sites use: per-entry (each season/cour its own title, episodes from 1)
+ * and absolute (episodes counted from the start of the series).
+ * IDs come from the Fribb anime-lists mapping, titles and episode counts from Kitsu.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('./logger');
+
+const ANIME_ID_PREFIXES = ['kitsu:', 'mal:'];
+
+// Kitsu anime details per Kitsu ID
+const kitsuCache = new Map();
+
+// Last loaded mapping list; a failed load keeps the previous one
+let animeList = null;
+let animeListLoadedAt = 0;
+let animeListFailedAt = 0;
+let animeListPromise = null;
+
+/**
+ * Check whether a Stremio ID is an anime ID (kitsu:<id>[:<episode>] or mal:<id>[:<episode>])
+ */
+function isAnimeId(id) {
+    return ANIME_ID_PREFIXES.some(prefix => (id || '').startsWith(prefix));
+}
+
+/**
+ * Parse an anime ID
+ * @returns {object|null} - { source, animeId, episode }
+ */
+function parseAnimeId(id) {
+    const [source, animeId, episode] = (id || '').split(':');
+    if (!ANIME_ID_PREFIXES.includes(`${source}:`) || !animeId) return null;
+    return { source, animeId, episode: episode ? parseInt(episode, 10) : null };
+}
+
+/**
+ * Build the lookup indexes for the mapping list
+ */
+function indexAnimeList(entries) {
+    const index = { byKitsu: new Map(), byMal: new Map(), byImdb: new Map() };
+
+    for (const entry of entries) {
+        if (entry.kitsu_id) index.byKitsu.set(String(entry.kitsu_id), entry);
+        if (entry.mal_id) index.byMal.set(String(entry.mal_id), entry);
+        if (entry.imdb_id) {
+            if (!index.byImdb.has(entry.imdb_id)) index.byImdb.set(entry.imdb_id, []);
+            index.byImdb.get(entry.imdb_id).push(entry);
+        }
+    }
+    return index;
+}
+
+/**
+ * Read the ID mapping list: downloaded, or the copy cached on disk in offline mode
+ * @returns {Promise<object>} - { entries, fresh }; fresh is false for a disk copy used because
+ *   the download failed
+ */
+async function fetchAnimeList() {
+    const listPath = path.join(config.cache.moduleCacheDir, 'anime-list.json');
+
+    if (!config.cache.moduleOfflineMode) {
+        try {
+            const response = await axios.get(config.anime.listUrl, {
+                timeout: config.timeout.animeMapping,
+                headers: config.headers,
+            });
+            if (!Array.isArray(response.data)) throw new Error('Invalid anime list format');
+
+            await fs.mkdir(config.cache.moduleCacheDir, { recursive: true });
+            await fs.writeFile(listPath, JSON.stringify(response.data));
+            return { entries: response.data, fresh: true };
+        } catch (error) {
+            logger.error(`Failed to fetch anime ID list: ${error.message}`);
+        }
+    }
+
+    const entries = JSON.parse(await fs.readFile(listPath, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error('Invalid cached anime list');
+    return { entries, fresh: !!config.cache.moduleOfflineMode };
+}
+
+/**
+ * Load the ID mapping list, cached on disk like the providers manifest
+ * A failed load isn't cached: the previous list (or an empty one) is used and the load is
+ * tried again once listRetryDelay has passed.
+ * @returns {Promise<object>} - Lookup indexes (empty when the list is unavailable)
+ */
+function loadAnimeList() {
+    if (animeList && Date.now() - animeListLoadedAt < config.anime.listExpiry) {
+        return Promise.resolve(animeList);
+    }
+    if (Date.now() - animeListFailedAt < config.anime.listRetryDelay) {
+        return Promise.resolve(animeList || indexAnimeList([]));
+    }
+
+    if (!animeListPromise) {
+        animeListPromise = fetchAnimeList()
+            .then(({ entries, fresh }) => {
+                animeList = indexAnimeList(entries);
+                if (fresh) {
+                    animeListLoadedAt = Date.now();
+                    animeListFailedAt = 0;
+                } else {
+                    animeListFailedAt = Date.now();
+                }
+                return animeList;
+            })
+            .catch(error => {
+                logger.warn(`Anime ID list unavailable: ${error.message}`);
+                animeListFailedAt = Date.now();
+                return animeList || indexAnimeList([]);
+            })
+            .finally(() => {
+                animeListPromise = null;
+            });
+    }
+    return animeListPromise;
+}
+
+/**
+ * Get the ID mapping list without holding up a request for its download
+ * An expired list is used while the new one loads in the background. Without any list, the
+ * wait is limited to waitLimit, after which the request goes on without anime details.
+ * @param {number|null} [waitLimit] - Longest wait for a first load (in milliseconds), null to wait for it
+ * @returns {Promise<object>} - Lookup indexes
+ */
+function getAnimeList(waitLimit = config.anime.listWait) {
+    const loading = loadAnimeList();
+    if (animeList) return Promise.resolve(animeList);
+    if (waitLimit === null) return loading;
+
+    let timer;
+    const waited = new Promise(resolve => {
+        timer = setTimeout(() => {
+            logger.debug('Anime ID list still loading, continuing without it');
+            resolve(indexAnimeList([]));
+        }, waitLimit);
+    });
+    return Promise.race([loading, waited]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Get anime details from Kitsu
+ * @returns {Promise<object|null>} - { title, aliases, year, episodeCount, subtype }
+ */
+async function getKitsuAnime(kitsuId) {
+    if (kitsuCache.has(kitsuId)) {
+        return kitsuCache.get(kitsuId);
+    }
+
+    try {
+        const response = await axios.get(`${config.anime.kitsuApiUrl}/anime/${kitsuId}`, {
+            timeout: config.timeout.animeMapping,
+            headers: { Accept: 'application/vnd.api+json' },
+        });
+        const attributes = response.data?.data?.attributes;
+        if (!attributes) return null;
+
+        const titles = attributes.titles || {};
+        const anime = {
+            title: titles.en || attributes.canonicalTitle || titles.en_jp,
+            aliases: [...new Set(
+                [attributes.canonicalTitle, titles.en_jp, titles.en_us, ...(attributes.abbreviatedTitles || [])]
+                    .filter(Boolean)
+            )],
+            year: attributes.startDate ? attributes.startDate.slice(0, 4) : null,
+            episodeCount: attributes.episodeCount || null,
+            subtype: attributes.subtype,
+        };
+        kitsuCache.set(kitsuId, anime);
+        return anime;
+    } catch (error) {
+        logger.warn(`Failed to get Kitsu anime ${kitsuId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * IMDb season of a mapping entry (the TVDB season, which IMDb numbering follows)
+ */
+function getEntrySeason(entry) {
+    return entry.season?.tvdb || null;
+}
+
+/**
+ * Absolute episode number for an episode of a mapping entry
+ * Adds up the episode counts of the entries for earlier seasons of the same IMDb title.
+ * @returns {Promise<number|null>} - null when an earlier season's episode count is unknown
+ */
+async function getAbsoluteEpisode(list, entry, episode) {
+    const season = getEntrySeason(entry) || 1;
+    const earlierEntries = (list.byImdb.get(entry.imdb_id) || [])
+        .filter(other => other.kitsu_id && (getEntrySeason(other) || 1) < season);
+
+    let offset = 0;
+    for (const other of earlierEntries) {
+        const anime = await getKitsuAnime(String(other.kitsu_id));
+        if (!anime?.episodeCount) return null;
+        offset += anime.episodeCount;
+    }
+    return offset + episode;
+}
+
+/**
+ * Collect the anime details of a mapping entry episode
+ */
+async function getEntryEpisode(list, entry, episode) {
+    const anime = await getKitsuAnime(String(entry.kitsu_id));
+    if (!anime) return null;
+
+    return {
+        kitsuId: String(entry.kitsu_id),
+        title: anime.title,
+        aliases: anime.aliases,
+        year: anime.year,
+        type: anime.subtype === 'movie' ? 'movie' : 'series',
+        season: getEntrySeason(entry) || 1,
+        episode,
+        absoluteEpisode: episode && entry.imdb_id ? await getAbsoluteEpisode(list, entry, episode) : episode,
+    };
+}
+
+/**
+ * Convert a mapping entry to the ID object used across the addon
+ */
+function getEntryIds(entry) {
+    const toId = (value) => (value ? String(value) : null);
+    return {
+        imdb: toId(entry.imdb_id),
+        tmdb: toId(entry.themoviedb_id),
+        tvdb: toId(entry.thetvdb_id),
+        kitsu: toId(entry.kitsu_id),
+        mal: toId(entry.mal_id),
+        anilist: toId(entry.anilist_id),
+    };
+}
+
+/**
+ * Resolve a kitsu:/mal: stream request
+ * @param {string} id - Stremio ID (e.g. 'kitsu:7442:5')
+ * @returns {Promise<object|null>} - { type, imdbId, season, episode, ids, anime }; season/episode
+ *   follow IMDb numbering, anime carries the entry title and per-entry/absolute episode numbers
+ */
+async function resolveAnimeId(id) {
+    const parsed = parseAnimeId(id);
+    if (!parsed) return null;
+
+    // kitsu:/mal: requests can't be answered without the list, so they wait for a first load
+    const list = await getAnimeList(null);
+    const entry = parsed.source === 'kitsu'
+        ? list.byKitsu.get(parsed.animeId) || { kitsu_id: parsed.animeId }
+        : list.byMal.get(parsed.animeId);
+
+    if (!entry || !entry.kitsu_id) {
+        logger.debug(`No Kitsu mapping for ${id}`);
+        return null;
+    }
+
+    const anime = await getEntryEpisode(list, entry, parsed.episode);
+    if (!anime) return null;
+
+    return {
+        type: anime.type,
+        imdbId: entry.imdb_id || '',
+        season: anime.type === 'series' ? anime.season : null,
+        episode: parsed.episode,
+        ids: getEntryIds(entry),
+        anime,
+    };
+}
+
+/**
+ * Get the anime details of an IMDb episode, if the title is an anime
+ * @returns {Promise<object|null>} - Same shape as resolveAnimeId's anime field
+ */
+async function getAnimeForImdb(imdbId, season, episode) {
+    const list = await getAnimeList();
+    const entries = (list.byImdb.get(imdbId) || []).filter(entry => entry.kitsu_id);
+    if (entries.length === 0) return null;
+
+    // Movies and single-entry shows map directly, otherwise the entry for the season
+    const entry = !season || entries.length === 1
+        ? entries[0]
+        : entries.find(e => getEntrySeason(e) === Number(season));
+    if (!entry || (season && (getEntrySeason(entry) || 1) !== Number(season))) return null;
+
+    return getEntryEpisode(list, entry, episode || null);
+}
+
+/**
+ * IDs of an IMDb title from the mapping list, for the ID resolver chain
+ */
+async function getAnimeIdsForImdb(imdbId) {
+    const list = await getAnimeList();
+    const entry = (list.byImdb.get(imdbId) || [])[0];
+    return entry ? getEntryIds(entry) : null;
+}
+
+// Load the mapping list in the background on startup, so IMDb requests don't wait for it
+loadAnimeList();
+
+module.exports = {
+    ANIME_ID_PREFIXES,
+    isAnimeId,
+    resolveAnimeId,
+    getAnimeForImdb,
+    getAnimeIdsForImdb,
+};
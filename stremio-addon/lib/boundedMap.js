@@ -0,0 +1,23 @@
+/**
+ * Bounded Map
+ * Helper for Map caches that keep a maximum number of entries, dropping the oldest first
+ */
+
+/**
+ * Store an entry as the newest one, evicting the oldest entries past the limit
+ * (Map keeps insertion order, so the first keys are the oldest)
+ * @param {Map} map - Cache
+ * @param {*} key - Entry key
+ * @param {*} value - Entry value
+ * @param {number} maxEntries - Most entries the cache keeps
+ */
+function setBounded(map, key, value, maxEntries) {
+    map.delete(key);
+    map.set(key, value);
+
+    while (map.size > maxEntries) {
+        map.delete(map.keys().next().value);
+    }
+}
+
+module.exports = { setBounded };
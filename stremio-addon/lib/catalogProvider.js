@@ -0,0 +1,296 @@
+/**
+ * Catalog Provider
+ * Publishes Vega provider catalogs (getPosts) and search (getSearchPosts) as Stremio catalogs
+ */
+
+const config = require('../config');
+const { providerContext } = require('./providerContext');
+const { downloadModule, executeModule } = require('./providerLoader');
+const { runScheduled } = require('./scheduler');
+const { setBounded } = require('./boundedMap');
+const { encodeVegaId } = require('./vegaId');
+const logger = require('./logger');
+
+// Provider catalogs have a prefix of their own, so no provider value can clash with the search catalog
+const SEARCH_CATALOG_ID = 'vega.search';
+const CATALOG_ID_PREFIX = 'vega.catalog.';
+
+// Stremio refuses manifests above 8kb (addonCollection API limit)
+const MANIFEST_SIZE_LIMIT = 8192;
+
+// Catalog and genre filters per provider, filled when the manifest is built
+const providerFilters = new Map();
+
+// Number of items a provider returns per page (per catalog filter, and for searches),
+// used to turn Stremio's skip into a page
+const pageSizeCache = new Map();
+
+// Searches in flight, so the movie and series search catalogs share one search
+const pendingSearches = new Map();
+
+/**
+ * Load the catalog module of a provider
+ * @returns {Promise<Array>} - Catalog and genre entries ({ title, filter })
+ */
+async function getProviderFilters(providerValue) {
+    if (providerFilters.has(providerValue)) {
+        return providerFilters.get(providerValue);
+    }
+
+    const catalogModuleCode = await downloadModule(providerValue, 'catalog');
+    if (!catalogModuleCode) return [];
+
+    try {
+        const catalogModule = await executeModule(catalogModuleCode, providerValue, 'catalog');
+        const filters = [...(catalogModule.catalog || []), ...(catalogModule.genres || [])]
+            .filter(entry => entry && entry.title && entry.filter !== undefined);
+
+        providerFilters.set(providerValue, filters);
+        return filters;
+    } catch (error) {
+        logger.warn(`Invalid catalog module for ${providerValue}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Build the manifest catalogs for the given providers
+ * One catalog per provider, its catalog/genre entries exposed as the genre extra; anime
+ * providers get anime catalogs, all others movie catalogs. Search is offered for every
+ * type, as providers don't tell movies and series apart in their results.
+ * Providers are added in priority order until the manifest size limit is reached.
+ * @param {Array} providers - Providers to publish catalogs for
+ * @param {object} manifest - Manifest the catalogs will be added to
+ * @returns {Promise<Array>} - Stremio catalog definitions
+ */
+async function buildCatalogs(providers, manifest) {
+    const catalogs = ['movie', 'series', 'anime'].map(type => ({
+        type: type,
+        id: SEARCH_CATALOG_ID,
+        name: 'Vega Search',
+        extra: [{ name: 'search', isRequired: true }, { name: 'skip' }],
+    }));
+
+    const sortedProviders = [...providers].sort((a, b) => a.priority - b.priority);
+    const filtersList = await Promise.all(sortedProviders.map(p => getProviderFilters(p.value)));
+
+    const skipped = [];
+    sortedProviders.forEach((provider, index) => {
+        const filters = filtersList[index];
+        if (filters.length === 0) return;
+
+        const catalog = {
+            type: provider.type === 'anime' ? 'anime' : 'movie',
+            id: `${CATALOG_ID_PREFIX}${provider.value}`,
+            name: provider.displayName,
+            extra: [
+                { name: 'genre', options: [...new Set(filters.map(f => f.title))] },
+                { name: 'skip' },
+            ],
+        };
+
+        const size = JSON.stringify({ ...manifest, catalogs: [...catalogs, catalog] }).length;
+        if (size > MANIFEST_SIZE_LIMIT) {
+            skipped.push(provider.displayName);
+            return;
+        }
+        catalogs.push(catalog);
+    });
+
+    if (skipped.length > 0) {
+        logger.info(`Manifest size limit reached, no catalogs for: ${skipped.join(', ')}`);
+    }
+
+    return catalogs;
+}
+
+/**
+ * Remember the page size of a provider catalog or search
+ */
+function setPageSize(pageKey, size) {
+    setBounded(pageSizeCache, pageKey, size, config.cache.pageSizeCacheMaxEntries);
+}
+
+/**
+ * Resolve the page to request for a Stremio skip value
+ * Page sizes are learned from the first page, which is fetched if still unknown.
+ */
+async function getPageForSkip(pageKey, skip, fetchPage) {
+    if (!skip) return 1;
+
+    if (!pageSizeCache.has(pageKey)) {
+        const firstPage = await fetchPage(1);
+        if (firstPage.length === 0) return null;
+        setPageSize(pageKey, firstPage.length);
+    }
+
+    return Math.floor(skip / pageSizeCache.get(pageKey)) + 1;
+}
+
+/**
+ * Call a posts module function with the standard abort timeout
+ */
+async function callPostsModule(providerValue, functionName, params) {
+    const postsModuleCode = await downloadModule(providerValue, 'posts');
+    if (!postsModuleCode) return [];
+
+    const postsModule = await executeModule(postsModuleCode, providerValue, 'posts');
+    if (!postsModule[functionName]) return [];
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeout.catalogFetch);
+
+    try {
+        const posts = await postsModule[functionName]({
+            ...params,
+            providerValue: providerValue,
+            signal: controller.signal,
+            providerContext: providerContext,
+        });
+        return Array.isArray(posts) ? posts : [];
+    } catch (error) {
+        logger.warn(`${functionName} failed for ${providerValue}: ${error.message}`);
+        return [];
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Convert provider posts to Stremio meta previews
+ */
+function postsToMetas(posts, providerValue, type) {
+    return posts
+        .filter(post => post && post.link && post.title)
+        .map(post => ({
+            id: encodeVegaId(post.provider || providerValue, post.link),
+            type: type,
+            name: post.title,
+            poster: post.image || undefined,
+            posterShape: 'poster',
+        }));
+}
+
+/**
+ * Get posts for a provider catalog
+ */
+async function getProviderCatalog(provider, type, extra) {
+    const filters = await getProviderFilters(provider.value);
+    const filter = (extra.genre && filters.find(f => f.title === extra.genre)) || filters[0];
+    if (!filter) return [];
+
+    const fetchPage = (page) => callPostsModule(provider.value, 'getPosts', {
+        filter: filter.filter,
+        page: page,
+    });
+
+    const pageKey = `${provider.value}:${filter.filter}`;
+    const page = await getPageForSkip(pageKey, Number(extra.skip) || 0, fetchPage);
+    if (!page) return [];
+
+    const posts = await fetchPage(page);
+    if (page === 1 && posts.length > 0) setPageSize(pageKey, posts.length);
+
+    return postsToMetas(posts, provider.value, type);
+}
+
+/**
+ * Search every provider for one page of results
+ * Providers are searched through the scheduler, like stream requests, so a search doesn't
+ * start a module call for every enabled provider at once. The size of each provider's first
+ * page is remembered for later skips.
+ * @returns {Promise<Array>} - Posts per provider, in provider order
+ */
+async function searchProviders(providers, searchQuery, page) {
+    const tasks = providers.map((provider, rank) => ({
+        name: provider.displayName,
+        priority: rank,
+        timeBudget: config.timeout.catalogFetch,
+        run: () => callPostsModule(provider.value, 'getSearchPosts', {
+            searchQuery: searchQuery,
+            page: page,
+        }),
+    }));
+
+    const outcomes = await runScheduled(tasks, {
+        concurrency: config.scheduler.concurrency,
+        deadline: config.scheduler.requestDeadline,
+    });
+    return outcomes.map((outcome, index) => {
+        const posts = outcome.status === 'fulfilled' ? outcome.value : [];
+        if (page === 1 && posts.length > 0) setPageSize(`${providers[index].value}:search`, posts.length);
+        return posts;
+    });
+}
+
+/**
+ * Resolve the search page for a Stremio skip value
+ * A page holds a page of every provider, so its size is the sum of the providers' search page
+ * sizes. Without any known size (no search since the addon started) there is no next page.
+ * @returns {number|null} - Page, or null when it can't be told
+ */
+function getSearchPageForSkip(providers, skip) {
+    if (!skip) return 1;
+
+    const pageSize = providers.reduce((sum, provider) => sum + (pageSizeCache.get(`${provider.value}:search`) || 0), 0);
+    return pageSize > 0 ? Math.floor(skip / pageSize) + 1 : null;
+}
+
+/**
+ * Search every provider and merge the results, interleaving providers by rank
+ * The anime catalog searches anime providers, the movie and series catalogs all others
+ * (sharing one search, as providers don't tell movies and series apart).
+ */
+async function searchAllProviders(providers, type, extra) {
+    const searchQuery = extra.search.trim();
+    const anime = type === 'anime';
+    const searched = providers.filter(provider => (provider.type === 'anime') === anime);
+
+    const page = getSearchPageForSkip(searched, Number(extra.skip) || 0);
+    if (!page || searched.length === 0) return [];
+
+    const searchKey = `${anime ? 'anime' : 'other'}:${searched.map(p => p.value).join(',')}:${searchQuery.toLowerCase()}:${page}`;
+    if (!pendingSearches.has(searchKey)) {
+        pendingSearches.set(searchKey, searchProviders(searched, searchQuery, page)
+            .finally(() => pendingSearches.delete(searchKey)));
+    }
+    const postsPerProvider = await pendingSearches.get(searchKey);
+
+    const metasPerProvider = postsPerProvider.map((posts, index) => postsToMetas(posts, searched[index].value, type));
+    const merged = [];
+    const longest = Math.max(0, ...metasPerProvider.map(metas => metas.length));
+    for (let i = 0; i < longest; i++) {
+        for (const metas of metasPerProvider) {
+            if (metas[i]) merged.push(metas[i]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Handle a Stremio catalog request
+ * @param {object} args - { type, id, extra }
+ * @param {Array} providers - Providers enabled for the requesting user
+ * @returns {Promise<Array>} - Stremio meta previews
+ */
+async function getCatalog({ type, id, extra = {} }, providers) {
+    if (id === SEARCH_CATALOG_ID) {
+        if (!extra.search) return [];
+        return searchAllProviders(providers, type, extra);
+    }
+
+    if (!id.startsWith(CATALOG_ID_PREFIX)) return [];
+
+    const providerValue = id.slice(CATALOG_ID_PREFIX.length);
+    const provider = providers.find(p => p.value === providerValue);
+    if (!provider) return [];
+
+    return getProviderCatalog(provider, type, extra);
+}
+
+module.exports = {
+    buildCatalogs,
+    getCatalog,
+    getProviderFilters,
+    SEARCH_CATALOG_ID,
+};
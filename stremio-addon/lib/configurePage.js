@@ -0,0 +1,292 @@
+/**
+ * Configure Page
+ * Provider selection page: providers grouped by region/type, presets, drag-to-reorder
+ * priority, stream filters, and an install URL that encodes the whole configuration
+ */
+
+const { BASE_STYLESHEET, escapeHtml } = require('./htmlPage');
+
+// Stream filter fields ({ key, label, type, placeholder, options })
+const FILTER_FIELDS = [
+    { key: 'minQuality', label: 'Minimum resolution', type: 'select', options: ['', '480', '720', '1080', '2160'] },
+    { key: 'maxQuality', label: 'Maximum resolution', type: 'select', options: ['', '480', '720', '1080', '2160'] },
+    { key: 'languages', label: 'Preferred audio languages', type: 'text', placeholder: 'hindi, english' },
+    { key: 'excludeLanguages', label: 'Excluded audio languages', type: 'text', placeholder: 'tamil, telugu' },
+    { key: 'maxSize', label: 'Maximum file size (GB)', type: 'number', placeholder: 'No limit' },
+    { key: 'excludeServers', label: 'Excluded servers', type: 'text', placeholder: 'gdrive, streamwish' },
+    { key: 'maxPerProvider', label: 'Results per provider', type: 'number', placeholder: 'No limit' },
+];
+
+const STYLESHEET = `${BASE_STYLESHEET}
+main { max-width: 760px; }
+h2 { font-size: 16px; text-transform: uppercase; letter-spacing: 1px; color: #a78bfa; margin: 28px 0 8px; }
+.presets { display: flex; flex-wrap: wrap; gap: 8px; }
+button {
+    background: #2a2a35;
+    color: #eee;
+    border: 1px solid #3a3a48;
+    border-radius: 6px;
+    padding: 8px 12px;
+    font-size: 14px;
+    cursor: pointer;
+}
+button:hover, button:focus { border-color: #a78bfa; outline: none; }
+button.primary { background: #7c3aed; border-color: #7c3aed; font-size: 16px; padding: 12px 20px; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 6px; }
+.grid label { display: flex; align-items: center; gap: 8px; padding: 6px 8px; background: #1a1a22; border-radius: 6px; cursor: pointer; }
+.filters { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 10px; }
+.filters label { display: flex; flex-direction: column; gap: 4px; font-size: 14px; color: #aaa; }
+.filters input, .filters select { padding: 8px; background: #1a1a22; color: #eee; border: 1px solid #3a3a48; border-radius: 6px; }
+.option { display: flex; align-items: center; gap: 8px; }
+#order { list-style: none; padding: 0; margin: 0; }
+#order li {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px;
+    margin-bottom: 4px;
+    background: #1a1a22;
+    border-radius: 6px;
+    cursor: grab;
+}
+#order li.dragging { opacity: 0.4; }
+#order li .rank { width: 28px; color: #a78bfa; }
+#order li .name { flex: 1; }
+#order li button { padding: 2px 8px; }
+.install { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-top: 28px; }
+#install-url { width: 100%; padding: 8px; background: #1a1a22; color: #ccc; border: 1px solid #3a3a48; border-radius: 6px; }
+`;
+
+const SCRIPT = `
+const state = {
+    enabled: new Set(initialConfig.enabled),
+    order: initialConfig.order,
+};
+
+const byValue = Object.fromEntries(providers.map(p => [p.value, p]));
+
+function render() {
+    document.querySelectorAll('input[data-provider]').forEach(input => {
+        input.checked = state.enabled.has(input.dataset.provider);
+    });
+
+    const list = document.getElementById('order');
+    list.innerHTML = '';
+    state.order.filter(value => state.enabled.has(value)).forEach((value, index) => {
+        const item = document.createElement('li');
+        item.draggable = true;
+        item.dataset.provider = value;
+        item.innerHTML = '<span class="rank">' + (index + 1) + '</span><span class="name"></span>'
+            + '<button type="button" data-move="-1" title="Move up">&#9650;</button>'
+            + '<button type="button" data-move="1" title="Move down">&#9660;</button>';
+        item.querySelector('.name').textContent = byValue[value].displayName;
+        list.appendChild(item);
+    });
+
+    updateInstallUrl();
+}
+
+function getConfig() {
+    const userConfig = { providers: state.order.filter(value => state.enabled.has(value)) };
+    document.querySelectorAll('[data-filter]').forEach(input => {
+        const value = input.value.trim();
+        if (value) userConfig[input.dataset.filter] = value;
+    });
+    document.querySelectorAll('[data-option]').forEach(input => {
+        if (input.checked) userConfig[input.dataset.option] = true;
+    });
+    return userConfig;
+}
+
+function updateInstallUrl() {
+    const configPath = encodeURIComponent(JSON.stringify(getConfig()));
+    const url = window.location.origin + '/' + configPath + '/manifest.json';
+    document.getElementById('install-url').value = url;
+    document.getElementById('install').href = url.replace(/^https?:/, 'stremio:');
+}
+
+function moveProvider(value, targetValue) {
+    const order = state.order.filter(v => v !== value);
+    order.splice(order.indexOf(targetValue), 0, value);
+    state.order = order;
+}
+
+document.querySelectorAll('[data-filter]').forEach(input => {
+    input.addEventListener('input', updateInstallUrl);
+});
+
+document.addEventListener('change', (event) => {
+    if (event.target.dataset.option) updateInstallUrl();
+    const value = event.target.dataset.provider;
+    if (!value) return;
+    if (event.target.checked) state.enabled.add(value);
+    else state.enabled.delete(value);
+    render();
+});
+
+document.querySelectorAll('[data-preset]').forEach(button => {
+    button.addEventListener('click', () => {
+        const preset = button.dataset.preset;
+        if (preset === 'all') providers.forEach(p => state.enabled.add(p.value));
+        else if (preset === 'none') state.enabled.clear();
+        else providers.filter(p => p.type === preset).forEach(p => state.enabled.add(p.value));
+        render();
+    });
+});
+
+const list = document.getElementById('order');
+let dragged = null;
+
+list.addEventListener('click', (event) => {
+    const move = Number(event.target.dataset.move);
+    if (!move) return;
+    const visible = state.order.filter(value => state.enabled.has(value));
+    const value = event.target.closest('li').dataset.provider;
+    const target = visible[visible.indexOf(value) + move];
+    if (!target) return;
+    if (move < 0) moveProvider(value, target);
+    else moveProvider(target, value);
+    render();
+});
+
+list.addEventListener('dragstart', (event) => {
+    dragged = event.target.dataset.provider;
+    event.target.classList.add('dragging');
+});
+
+list.addEventListener('dragover', (event) => event.preventDefault());
+
+list.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const target = event.target.closest('li');
+    if (dragged && target && target.dataset.provider !== dragged) {
+        moveProvider(dragged, target.dataset.provider);
+    }
+    dragged = null;
+    render();
+});
+
+list.addEventListener('dragend', () => {
+    dragged = null;
+    render();
+});
+
+document.getElementById('copy').addEventListener('click', () => {
+    const input = document.getElementById('install-url');
+    input.select();
+    navigator.clipboard ? navigator.clipboard.writeText(input.value) : document.execCommand('copy');
+});
+
+render();
+`;
+
+/**
+ * Serialize data for an inline script without allowing it to close the script tag
+ */
+function toScriptJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render the configure page
+ * @param {object} options
+ * @param {object} options.manifest - Addon manifest
+ * @param {Array} options.sections - Provider sections ({ title, providers })
+ * @param {Array} options.presets - Preset buttons ({ label, type })
+ * @param {Array} options.providers - Providers in priority order
+ * @param {Array} options.selected - Enabled provider values of the current configuration, in order
+ * @param {object} [options.userConfig] - Current configuration, used to fill in the filters
+ * @param {boolean} [options.relayAvailable] - Whether the server can relay streams (ADDON_URL is set)
+ * @returns {string} - HTML
+ */
+function configurePage({ manifest, sections, presets, providers, selected, userConfig = {}, relayAvailable = false }) {
+    const order = [...selected, ...providers.map(p => p.value).filter(value => !selected.includes(value))];
+
+    const sectionsHtml = sections.map(section => `
+        <h2>${escapeHtml(section.title)}</h2>
+        <div class="grid">
+            ${section.providers.map(provider => `
+                <label title="${escapeHtml(provider.description || '')}">
+                    <input type="checkbox" data-provider="${escapeHtml(provider.value)}">
+                    ${escapeHtml(provider.displayName)}
+                </label>`).join('')}
+        </div>`).join('');
+
+    const filtersHtml = FILTER_FIELDS.map(field => {
+        const value = userConfig[field.key] === undefined ? '' : String(userConfig[field.key]);
+        const input = field.type === 'select'
+            ? `<select data-filter="${field.key}">${field.options.map(option => `
+                    <option value="${option}"${option === value ? ' selected' : ''}>${option ? `${option}p` : 'Any'}</option>`).join('')}
+                </select>`
+            : `<input type="${field.type}"${field.type === 'number' ? ' min="0" step="any"' : ''} data-filter="${field.key}" value="${escapeHtml(value)}" placeholder="${escapeHtml(field.placeholder)}">`;
+        return `
+            <label>${escapeHtml(field.label)}${input}</label>`;
+    }).join('');
+
+    const presetsHtml = presets.map(preset => `
+        <button type="button" data-preset="${escapeHtml(preset.type)}">${escapeHtml(preset.label)}</button>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(manifest.name)} - Configure</title>
+    <link rel="shortcut icon" href="${escapeHtml(manifest.logo || '')}" type="image/x-icon">
+    <style>${STYLESHEET}</style>
+</head>
+<body>
+<main>
+    <header>
+        <img src="${escapeHtml(manifest.logo || '')}" alt="">
+        <div>
+            <h1>${escapeHtml(manifest.name)}</h1>
+            <p>${escapeHtml(manifest.description || '')}</p>
+        </div>
+    </header>
+
+    <h2>Presets</h2>
+    <div class="presets">
+        <button type="button" data-preset="all">Enable all</button>
+        <button type="button" data-preset="none">Disable all</button>
+        ${presetsHtml}
+    </div>
+
+    ${sectionsHtml}
+
+    <h2>Priority</h2>
+    <p>Drag providers (or use the arrows) to set the order they are queried and listed in.</p>
+    <ol id="order"></ol>
+
+    <h2>Stream filters</h2>
+    <p>Streams with unknown resolution, size or language are always kept.</p>
+    <div class="filters">
+        ${filtersHtml}
+    </div>
+
+    <h2>Playback</h2>
+    <label class="option">
+        <input type="checkbox" data-option="relay"${userConfig.relay ? ' checked' : ''}${relayAvailable ? '' : ' disabled'}>
+        Relay streams that need special headers through the addon (for clients that can't send them)${relayAvailable ? '' : ' - not available, the server has no ADDON_URL set'}
+    </label>
+    <label class="option">
+        <input type="checkbox" data-option="probe"${userConfig.probe ? ' checked' : ''}>
+        Check stream links before listing them, replacing dead links with working mirrors (slower)
+    </label>
+
+    <div class="install">
+        <a id="install" href="#"><button type="button" class="primary">Install</button></a>
+        <button type="button" id="copy">Copy URL</button>
+        <input id="install-url" readonly>
+    </div>
+</main>
+<script>
+const providers = ${toScriptJson(providers.map(p => ({ value: p.value, displayName: p.displayName, type: p.type })))};
+const initialConfig = ${toScriptJson({ enabled: selected, order })};
+${SCRIPT}
+</script>
+</body>
+</html>`;
+}
+
+module.exports = { configurePage };
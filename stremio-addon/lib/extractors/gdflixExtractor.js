@@ -1,6 +1,7 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const config = require('../../config');
+const logger = require('../logger');
 
 async function gdflixExtractor(link, signal) {
     const streams = [];
@@ -52,7 +53,7 @@ async function gdflixExtractor(link, signal) {
             }
         });
 
-    } catch (e) { console.error('GDflix Error:', e.message); }
+    } catch (e) { logger.warn(`GDflix error: ${e.message}`); }
     return streams;
 }
 module.exports = { gdflixExtractor };
\ No newline at end of file
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const config = require('../../config');
+const logger = require('../logger');
 
 /**
  * Extract download link and metadata from Gofile
@@ -72,7 +73,7 @@ async function gofileExtractor(id) {
         return streams.length > 1 ? streams : streams[0];
 
     } catch (error) {
-        console.error('Gofile extractor error:', error.message);
+        logger.warn(`Gofile extractor error: ${error.message}`);
         return { link: '', size: '', quality: '', language: '' };
     }
 }
@@ -2,6 +2,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const config = require('../../config');
 const fetch = global.fetch || require('node-fetch');
+const logger = require('../logger');
 
 // Advanced Meta Parser - Forcefully extracts Size, Quality, Language
 function getMetaFromText(text) {
@@ -39,7 +40,7 @@ function decode(value) {
 
 async function hubcloudExtractor(link, signal) {
     try {
-        console.log('    hubcloudExtractor:', link);
+        logger.debug(`hubcloudExtractor: ${link}`);
         const baseUrl = link.split('/').slice(0, 3).join('/');
 
         // Handle oxxfile/filepress separately
@@ -118,7 +119,7 @@ async function hubcloudExtractor(link, signal) {
 
         return streamLinks;
     } catch (e) {
-        console.error('Hubcloud Error:', e.message);
+        logger.warn(`Hubcloud error: ${e.message}`);
         return [];
     }
 }
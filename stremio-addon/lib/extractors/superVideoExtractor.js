@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const config = require('../../config');
+const logger = require('../logger');
 
 /**
  * Extract stream URL from SuperVideo
@@ -39,7 +40,7 @@ async function superVideoExtractor(data) {
 
         return '';
     } catch (error) {
-        console.error('SuperVideo extractor error:', error.message);
+        logger.warn(`SuperVideo extractor error: ${error.message}`);
         return '';
     }
 }
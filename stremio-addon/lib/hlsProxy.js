@@ -0,0 +1,109 @@
+/**
+ * HLS Proxy
+ * Serves HLS playlists through the addon, rewriting every variant, segment and key URI
+ * (resolved against the playlist's own URL) to point back at the proxy, so hosts that
+ * need the master playlist's headers on every request keep working.
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const { createRelayToken, buildRelayUrl, readRelayToken, proxyStream } = require('./streamRelay');
+const logger = require('./logger');
+
+// Tags whose URI attribute points at another playlist; every other URI is media (segments, keys, init maps)
+const PLAYLIST_URI_TAGS = ['#EXT-X-MEDIA', '#EXT-X-I-FRAME-STREAM-INF', '#EXT-X-RENDITION-REPORT'];
+
+const URI_ATTRIBUTE = /URI="([^"]+)"/;
+
+/**
+ * Route a playlist URI back through the proxy
+ * URIs that aren't HTTP (e.g. skd:// DRM keys, data: URIs) are left untouched.
+ */
+function proxyUri(uri, playlistUrl, headers, kind) {
+    let resolved;
+    try {
+        resolved = new URL(uri, playlistUrl);
+    } catch (error) {
+        return uri;
+    }
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return uri;
+
+    const token = createRelayToken(resolved.href, headers, kind);
+    return buildRelayUrl('hls', token, resolved.href, kind === 'playlist' ? 'playlist.m3u8' : 'media');
+}
+
+/**
+ * Rewrite a master or media playlist
+ * @param {string} body - Playlist text
+ * @param {string} playlistUrl - URL the playlist was served from, for relative URIs
+ * @param {object} headers - Headers every proxied request needs
+ * @returns {string} - Rewritten playlist
+ */
+function rewritePlaylist(body, playlistUrl, headers) {
+    let nextIsPlaylist = false;
+
+    return body.split(/\r?\n/).map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+
+        if (trimmed.startsWith('#')) {
+            // The URI line after a variant tag is a media playlist
+            if (trimmed.startsWith('#EXT-X-STREAM-INF')) nextIsPlaylist = true;
+
+            const tag = trimmed.split(':')[0];
+            const kind = PLAYLIST_URI_TAGS.includes(tag) ? 'playlist' : 'media';
+            return line.replace(URI_ATTRIBUTE, (match, uri) =>
+                `URI="${proxyUri(uri, playlistUrl, headers, kind)}"`
+            );
+        }
+
+        const kind = nextIsPlaylist ? 'playlist' : 'media';
+        nextIsPlaylist = false;
+        return proxyUri(trimmed, playlistUrl, headers, kind);
+    }).join('\n');
+}
+
+/**
+ * Express handler for /hls/:token/:filename?
+ * Playlists are rewritten, segments and keys are passed through unchanged.
+ */
+async function hlsHandler(req, res) {
+    const target = readRelayToken(req.params.token);
+    if (!target) {
+        res.status(403).end();
+        return;
+    }
+
+    if (target.kind !== 'playlist') {
+        await proxyStream(target, req, res);
+        return;
+    }
+
+    try {
+        const response = await axios.get(target.url, {
+            headers: { ...config.headers, ...target.headers },
+            responseType: 'text',
+            timeout: config.timeout.relayConnect,
+            maxRedirects: 5,
+        });
+
+        const body = String(response.data);
+        if (!body.trimStart().startsWith('#EXTM3U')) {
+            res.status(502).end();
+            return;
+        }
+
+        // Relative URIs resolve against the URL after redirects
+        const playlistUrl = response.request?.res?.responseUrl || target.url;
+
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.end(rewritePlaylist(body, playlistUrl, target.headers));
+    } catch (error) {
+        logger.error(`HLS proxy error: ${error.message}`);
+        res.status(error.response ? error.response.status : 502).end();
+    }
+}
+
+module.exports = { hlsHandler };
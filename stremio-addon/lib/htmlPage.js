@@ -0,0 +1,35 @@
+/**
+ * HTML Page
+ * Shared pieces of the addon's HTML pages (configure and status): the base stylesheet
+ * and escaping for text put into the markup
+ */
+
+// Page layout and colors; each page adds its own width and rules
+const BASE_STYLESHEET = `
+* { box-sizing: border-box; }
+body {
+    margin: 0;
+    padding: 24px;
+    font-family: 'Open Sans', Arial, sans-serif;
+    background: #0f0f14;
+    color: #eee;
+}
+main { margin: 0 auto; }
+header { display: flex; align-items: center; gap: 16px; }
+header img { width: 64px; height: 64px; border-radius: 12px; }
+h1 { margin: 0; font-size: 28px; }
+p { color: #aaa; }
+`;
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { BASE_STYLESHEET, escapeHtml };
@@ -0,0 +1,165 @@
+/**
+ * ID Resolver
+ * Resolves an IMDb ID to the other IDs providers need (TMDB, TVDB and, for anime,
+ * Kitsu/MAL/AniList) through a chain of resolvers: a local mapping file, the anime
+ * ID list, the TMDB find API (when TMDB_API_KEY is set) and Cinemeta. Misses are cached too.
+ */
+
+const fs = require('fs/promises');
+const axios = require('axios');
+const config = require('../config');
+const { getAnimeIdsForImdb } = require('./animeMapping');
+const { setBounded } = require('./boundedMap');
+const logger = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+
+// Resolved IDs per IMDb ID and type
+const idCache = new Map();
+
+// Resolutions in flight, so concurrent requests share one lookup
+const pendingResolutions = new Map();
+
+let mappingPromise = null;
+
+/**
+ * Empty result object, every resolver fills in what it knows
+ */
+function createIds(imdbId) {
+    return { imdb: imdbId, tmdb: null, tvdb: null, kitsu: null, mal: null, anilist: null };
+}
+
+/**
+ * Read the local mapping file once
+ * { "tt0388629": { "tmdb": "37854", "kitsu": "12", "mal": "21" } }
+ */
+function readMappingFile() {
+    if (!mappingPromise) {
+        mappingPromise = fs.readFile(config.idMappingFile, 'utf8')
+            .then(JSON.parse)
+            .catch(error => {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Invalid ID mapping file: ${error.message}`);
+                }
+                return {};
+            });
+    }
+    return mappingPromise;
+}
+
+/**
+ * Resolvers, tried in the order of config.idResolvers
+ * Each returns the IDs it found (missing ones as null/undefined) or null.
+ */
+const resolvers = {
+    async mappingFile(imdbId) {
+        const mapping = await readMappingFile();
+        return mapping[imdbId] || null;
+    },
+
+    async animeList(imdbId) {
+        return getAnimeIdsForImdb(imdbId);
+    },
+
+    async tmdb(imdbId, type) {
+        if (!config.tmdb.apiKey) return null;
+
+        const response = await axios.get(`https://api.themoviedb.org/3/find/${imdbId}`, {
+            params: { api_key: config.tmdb.apiKey, external_source: 'imdb_id' },
+            timeout: config.timeout.imdbToTmdb,
+        });
+
+        const results = type === 'series' ? response.data?.tv_results : response.data?.movie_results;
+        return results?.length > 0 ? { tmdb: results[0].id } : null;
+    },
+
+    async cinemeta(imdbId, type) {
+        const mediaType = type === 'series' ? 'series' : 'movie';
+        const response = await axios.get(`https://v3-cinemeta.strem.io/meta/${mediaType}/${imdbId}.json`, {
+            headers: config.headers,
+            timeout: config.timeout.imdbToTmdb,
+        });
+
+        const meta = response.data?.meta;
+        if (!meta) return null;
+
+        // Some entries only carry the TMDB ID in their links
+        const tmdbLink = meta.links?.find(l => l.category === 'tmdb' || l.name?.toLowerCase().includes('tmdb'));
+        const linkMatch = tmdbLink?.url?.match(/\/(\d+)/);
+
+        return {
+            tmdb: meta.moviedb_id || (linkMatch ? linkMatch[1] : null),
+            tvdb: meta.tvdb_id,
+        };
+    },
+};
+
+/**
+ * Run the resolver chain, stopping once a TMDB ID is known
+ * @returns {Promise<object>} - { ids, failed }, failed when a resolver errored
+ */
+async function runResolvers(imdbId, type) {
+    const ids = createIds(imdbId);
+    let failed = false;
+
+    for (const name of config.idResolvers) {
+        const resolver = resolvers[name];
+        if (!resolver) continue;
+
+        try {
+            const found = await resolver(imdbId, type);
+            Object.entries(found || {}).forEach(([key, value]) => {
+                if (key in ids && value && !ids[key]) ids[key] = String(value);
+            });
+        } catch (error) {
+            logger.warn(`ID resolver ${name} failed for ${imdbId}: ${error.message}`);
+            failed = true;
+        }
+
+        if (ids.tmdb) break;
+    }
+    return { ids, failed };
+}
+
+/**
+ * Resolve the IDs of a title
+ * @param {string} imdbId - IMDb ID (e.g. 'tt1234567')
+ * @param {string} type - 'movie' or 'series'
+ * @returns {Promise<object>} - { imdb, tmdb, tvdb, kitsu, mal, anilist }, unknown IDs are null
+ */
+async function resolveIds(imdbId, type = 'movie') {
+    if (!imdbId || !imdbId.startsWith('tt')) {
+        return createIds(null);
+    }
+
+    const cacheKey = `${imdbId}:${type}`;
+    const entry = idCache.get(cacheKey);
+    if (entry && Date.now() < entry.expiresAt) {
+        recordCacheLookup('id', 'hit');
+        return entry.ids;
+    }
+    recordCacheLookup('id', 'miss');
+
+    if (pendingResolutions.has(cacheKey)) {
+        return pendingResolutions.get(cacheKey);
+    }
+
+    const resolution = runResolvers(imdbId, type)
+        .then(({ ids, failed }) => {
+            // Misses are retried sooner, the mapping may show up upstream later;
+            // misses caused by errors (e.g. Cinemeta down) aren't cached at all
+            if (ids.tmdb || !failed) {
+                const expiry = ids.tmdb ? config.cache.idCacheExpiry : config.cache.idNegativeCacheExpiry;
+                setBounded(idCache, cacheKey, { ids, expiresAt: Date.now() + expiry }, config.cache.idCacheMaxEntries);
+            }
+            if (!ids.tmdb) {
+                logger.debug(`Could not get TMDB ID for ${imdbId}, will use IMDB ID only`);
+            }
+            return ids;
+        })
+        .finally(() => pendingResolutions.delete(cacheKey));
+
+    pendingResolutions.set(cacheKey, resolution);
+    return resolution;
+}
+
+module.exports = { resolveIds };
@@ -0,0 +1,92 @@
+/**
+ * LinkList helpers
+ * Season and episode parsing for the linkList returned by a provider's getMeta
+ */
+
+// Season and episode in one marker: "S02E05", "S2 E5", "S02.E05"
+const SEASON_EPISODE = /\bs0*(\d{1,2})[\s.-]*e0*(\d{1,4})\b/i;
+
+// Numbers in release tags, so "Download 480p" or "x265" isn't read as an episode
+const RELEASE_NUMBERS = /\b(?:\d{3,4}p|[xh]\.?26[45]|10bit)\b/gi;
+
+/**
+ * Parse a season number from a title (e.g. "Season 2 1080p", "S02", "S02E05")
+ * @returns {number|null}
+ */
+function parseSeasonNumber(title) {
+    const combined = (title || '').match(SEASON_EPISODE);
+    if (combined) return parseInt(combined[1], 10);
+
+    const match = (title || '').match(/(?:season|\bs)\s*0*(\d{1,2})\b/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parse an episode number from an episode title (e.g. "Episode 5", "EP05", "E5", "S01E05")
+ * A title that is only a number with some words around it ("05", "Part 5") counts too, after
+ * removing season markers and release tags.
+ * @returns {number|null}
+ */
+function parseEpisodeNumber(title) {
+    const text = (title || '').replace(RELEASE_NUMBERS, ' ');
+
+    const combined = text.match(SEASON_EPISODE);
+    if (combined) return parseInt(combined[2], 10);
+
+    const match = text.match(/(?:episode|\bep|\be)[\s.-]*0*(\d{1,4})\b/i)
+        || text.replace(/(?:season|\bs)\s*\d{1,2}\b/gi, ' ').match(/^\D*0*(\d{1,4})\D*$/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Get the quality of a linkList entry (e.g. "1080"), from its quality field or title
+ * @returns {string}
+ */
+function getLinkItemQuality(linkItem) {
+    const source = `${linkItem.quality || ''} ${linkItem.title || ''}`;
+    if (/\b(?:4k|uhd)\b/i.test(source)) return '2160';
+    const match = source.match(/\b(2160|1440|1080|720|576|480|360)p?\b/i);
+    return match ? match[1] : '';
+}
+
+/**
+ * Group linkList entries by season number
+ * Entries without a season in their title belong to season 1.
+ * @returns {Map<number, Array>} - Season number -> linkList entries
+ */
+function groupLinkListBySeason(linkList = []) {
+    const seasons = new Map();
+    for (const linkItem of linkList) {
+        const season = parseSeasonNumber(linkItem.title) || 1;
+        if (!seasons.has(season)) seasons.set(season, []);
+        seasons.get(season).push(linkItem);
+    }
+    return seasons;
+}
+
+/**
+ * Get the linkList entries for a season
+ * Posts that cover a single season ("Show Season 2") often have no season in their
+ * linkList titles, so the post title decides which season those entries belong to.
+ * @param {Array} linkList - linkList from getMeta
+ * @param {number} season - Requested season
+ * @param {string} postTitle - Title of the post/meta the linkList belongs to
+ * @returns {Array} - linkList entries of the season
+ */
+function getSeasonLinkItems(linkList = [], season, postTitle = '') {
+    const hasSeasonTitles = linkList.some(linkItem => parseSeasonNumber(linkItem.title));
+    if (hasSeasonTitles) {
+        return groupLinkListBySeason(linkList).get(season) || [];
+    }
+
+    const postSeason = parseSeasonNumber(postTitle) || 1;
+    return postSeason === season ? linkList : [];
+}
+
+module.exports = {
+    parseSeasonNumber,
+    parseEpisodeNumber,
+    getLinkItemQuality,
+    groupLinkListBySeason,
+    getSeasonLinkItems,
+};
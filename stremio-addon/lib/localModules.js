@@ -0,0 +1,109 @@
+/**
+ * Local Modules
+ * Development mode: provider modules read from a local vega-providers checkout (its dist build)
+ * or any directory with <provider>/<module>.js files. Provider directories are watched and
+ * changed modules reloaded, so a provider change can be tried in Stremio without a restart.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+// Watched provider directories: path -> FSWatcher
+const watchers = new Map();
+
+// Pending change notifications per module file, editors and builds write files in bursts
+const changeTimers = new Map();
+
+const changeListeners = [];
+
+// Wait this long after the last change before reloading a module (in milliseconds)
+const CHANGE_DEBOUNCE = 200;
+
+/**
+ * Check whether a provider is configured to load from the local directory
+ * Set per provider with "moduleRef": "local" in the override file, or for a list of
+ * providers (or * for all) with PROVIDERS_LOCAL.
+ */
+function isLocalProvider(providerValue, moduleRef) {
+    if (!config.modules.localDir) return false;
+
+    const localProviders = config.modules.localProviders;
+    return moduleRef === 'local' || localProviders.includes('*') || localProviders.includes(providerValue);
+}
+
+/**
+ * Directory holding a provider's modules: <localDir>/dist/<provider> when the local
+ * directory is a vega-providers checkout, <localDir>/<provider> otherwise
+ */
+function getProviderDir(providerValue) {
+    const distDir = path.join(config.modules.localDir, 'dist', providerValue);
+    return fs.existsSync(distDir) ? distDir : path.join(config.modules.localDir, providerValue);
+}
+
+/**
+ * Notify listeners once a module file has stopped changing
+ */
+function scheduleChange(providerValue, moduleName) {
+    const key = `${providerValue}:${moduleName}`;
+    clearTimeout(changeTimers.get(key));
+
+    changeTimers.set(key, setTimeout(() => {
+        changeTimers.delete(key);
+        changeListeners.forEach(listener => listener(providerValue, moduleName));
+    }, CHANGE_DEBOUNCE));
+}
+
+/**
+ * Watch a provider directory for module changes
+ * A build that deletes and recreates the directory ends the watch; the next read starts a new one.
+ */
+function watchProviderDir(providerValue, dir) {
+    if (watchers.has(dir)) return;
+
+    try {
+        const watcher = fs.watch(dir, (eventType, fileName) => {
+            if (fileName && fileName.endsWith('.js')) {
+                scheduleChange(providerValue, path.basename(fileName, '.js'));
+            }
+        });
+        watcher.on('error', () => {
+            watcher.close();
+            watchers.delete(dir);
+        });
+        watcher.unref();
+        watchers.set(dir, watcher);
+    } catch (error) {
+        logger.error(`Cannot watch local provider directory ${dir}: ${error.message}`);
+    }
+}
+
+/**
+ * Read a module from the local directory and watch it for changes
+ * @returns {Promise<string|null>} - Module code, or null when the provider has no such module
+ */
+async function readLocalModule(providerValue, moduleName) {
+    const dir = getProviderDir(providerValue);
+    watchProviderDir(providerValue, dir);
+
+    try {
+        return await fsp.readFile(path.join(dir, `${moduleName}.js`), 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Failed to read local module ${providerValue}/${moduleName}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Register a listener for changed local modules
+ * @param {Function} listener - (providerValue, moduleName) => void
+ */
+function onLocalModuleChange(listener) {
+    changeListeners.push(listener);
+}
+
+module.exports = { isLocalProvider, readLocalModule, onLocalModuleChange };
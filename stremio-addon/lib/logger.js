@@ -0,0 +1,114 @@
+/**
+ * Logger
+ * Leveled logging (LOG_LEVEL) as text or JSON lines (LOG_FORMAT=json). Lines logged while
+ * handling a request carry its request ID, also from provider code running in the sandbox,
+ * and tokens in URLs are redacted.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Query parameters whose values are credentials
+const SECRET_PARAMS = ['token', 'key', 'apikey', 'api_key', 'access_token', 'auth', 'sig', 'signature', 'secret', 'password', 'session', 'sid'];
+
+const SECRET_PARAM_PATTERN = new RegExp(`([?&](?:${SECRET_PARAMS.join('|')})=)[^&#\\s"']+`, 'gi');
+
+// Signed relay URLs carry the stream URL and headers in the path
+const RELAY_TOKEN_PATTERN = /\/(relay|hls)\/[^/?#\s"']+/g;
+
+// The request being handled, for the code running on its behalf
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Remove credentials from URLs in a string
+ */
+function redact(text) {
+    return String(text)
+        .replace(SECRET_PARAM_PATTERN, '$1[redacted]')
+        .replace(RELAY_TOKEN_PATTERN, '/$1/[redacted]');
+}
+
+/**
+ * Create a short random request ID
+ */
+function createRequestId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Run a function with a request ID attached to everything it logs
+ */
+function runWithRequestId(requestId, fn) {
+    return contextStorage.run({ requestId }, fn);
+}
+
+/**
+ * Request ID of the code running now, if any
+ */
+function getRequestId() {
+    return contextStorage.getStore()?.requestId || null;
+}
+
+/**
+ * Write a log line
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {string} message - Message
+ * @param {object} [fields] - Extra fields (JSON output) shown as key=value in text output
+ */
+function log(level, message, fields = {}) {
+    if (LEVELS[level] < (LEVELS[config.log.level] || LEVELS.info)) return;
+
+    const requestId = getRequestId();
+    const redactedFields = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) redactedFields[key] = typeof value === 'string' ? redact(value) : value;
+    });
+
+    let line;
+    if (config.log.json) {
+        line = JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg: redact(message),
+            ...(requestId ? { requestId } : {}),
+            ...redactedFields,
+        });
+    } else {
+        const details = Object.entries(redactedFields).map(([key, value]) => ` ${key}=${value}`).join('');
+        line = `${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${redact(message)}${details}`;
+    }
+
+    if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+    else process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Express middleware giving every request an ID (X-Request-Id, taken from the request when set)
+ * Requests are logged at debug level when they finish.
+ */
+function requestLogger(req, res, next) {
+    const requestId = /^[\w-]{1,64}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : createRequestId();
+    const startedAt = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    runWithRequestId(requestId, () => {
+        res.on('finish', () => {
+            log('debug', `${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - startedAt}ms`);
+        });
+        next();
+    });
+}
+
+module.exports = {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    redact,
+    getRequestId,
+    runWithRequestId,
+    requestLogger,
+};
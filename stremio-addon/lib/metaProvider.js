@@ -0,0 +1,141 @@
+/**
+ * Meta Provider
+ * Builds Stremio meta objects for provider-native (vega:) items and resolves their streams
+ */
+
+const {
+    getProviderMeta, getLinkItemEpisodes, getPostStreamLinks, getStreamsFromLinks, createProviderTask, runProviderTasks,
+} = require('./providerLoader');
+const { groupLinkListBySeason, parseSeasonNumber } = require('./linkList');
+const { getStreamCacheKey } = require('./streamCache');
+const { getProvider } = require('./providerRegistry');
+const { decodeVegaId } = require('./vegaId');
+const logger = require('./logger');
+
+/**
+ * Build the Stremio videos list for a series
+ * The first linkList entry of each season that yields episodes is used.
+ */
+async function buildVideos(metaId, providerValue, info) {
+    const linkList = info.linkList || [];
+    const hasSeasonTitles = linkList.some(linkItem => parseSeasonNumber(linkItem.title));
+    const seasons = hasSeasonTitles
+        ? [...groupLinkListBySeason(linkList).entries()].sort((a, b) => a[0] - b[0])
+        : [[parseSeasonNumber(info.title) || 1, linkList]];
+
+    const seasonVideos = await Promise.all(seasons.map(async ([season, seasonItems]) => {
+        for (const linkItem of seasonItems) {
+            try {
+                const episodes = await getLinkItemEpisodes(providerValue, linkItem);
+                if (episodes.length === 0) continue;
+
+                return episodes.map(ep => ({
+                    id: `${metaId}:${season}:${ep.episode}`,
+                    title: ep.title || `Episode ${ep.episode}`,
+                    season: season,
+                    episode: ep.episode,
+                }));
+            } catch (error) {
+                logger.warn(`Episode list failed for ${providerValue}: ${error.message}`);
+            }
+        }
+        return [];
+    }));
+
+    return seasonVideos.flat();
+}
+
+/**
+ * Parse a vega: ID, accepting it only for a known provider
+ * IDs come from clients, so the provider value must never reach module downloads unchecked.
+ * @param {string} id - Vega ID
+ * @param {Array} [providers] - Providers the user enabled (defaults to all enabled providers)
+ * @returns {object|null} - Parsed ID (see decodeVegaId) with its provider, or null
+ */
+function parseVegaId(id, providers = null) {
+    const parsed = decodeVegaId(id);
+    if (!parsed) return null;
+
+    const provider = providers
+        ? providers.find(p => p.value === parsed.providerValue)
+        : getProvider(parsed.providerValue);
+    if (!provider) {
+        logger.warn(`Rejected ID for unknown or disabled provider: ${parsed.providerValue}`);
+        return null;
+    }
+
+    return { ...parsed, provider };
+}
+
+/**
+ * Get a Stremio meta object for a vega: ID
+ * @param {string} id - Vega ID
+ * @param {Array} [providers] - Providers the user enabled
+ * @returns {Promise<object|null>} - Stremio meta or null if the provider returned nothing
+ */
+async function getVegaMeta(id, providers = null) {
+    const parsed = parseVegaId(id, providers);
+    if (!parsed) return null;
+
+    const info = await getProviderMeta(parsed.providerValue, parsed.link);
+    if (!info) return null;
+
+    const type = info.type === 'series' ? 'series' : 'movie';
+    const meta = {
+        id: parsed.metaId,
+        type: type,
+        name: info.title,
+        poster: info.image || undefined,
+        background: info.image || undefined,
+        description: info.synopsis || undefined,
+        genres: info.tags?.length ? info.tags : undefined,
+        cast: info.cast?.length ? info.cast : undefined,
+        imdbRating: info.rating || undefined,
+    };
+
+    if (type === 'series') {
+        meta.videos = await buildVideos(parsed.metaId, parsed.providerValue, info);
+    }
+
+    return meta;
+}
+
+/**
+ * Get streams for a vega: ID without going through Cinemeta
+ * The provider is run like any other stream request: through the scheduler, stream cache,
+ * circuit breaker and metrics, within its time budget and the request deadline.
+ * @param {string} id - Vega ID (with season/episode for series)
+ * @param {Array} [providers] - Providers the user enabled
+ * @returns {Promise<Array>} - Vega streams tagged with the provider
+ */
+async function getStreamsFromVegaId(id, providers = null) {
+    const parsed = parseVegaId(id, providers);
+    if (!parsed) return [];
+
+    const { providerValue, provider, season, episode } = parsed;
+    const cacheKey = getStreamCacheKey(providerValue, parsed.metaId, season, episode);
+
+    const task = createProviderTask(provider, cacheKey, async (signal) => {
+        const info = await getProviderMeta(providerValue, parsed.link, signal);
+        const linkList = info?.linkList || [];
+        const type = info?.type === 'series' || season ? 'series' : 'movie';
+
+        let streamLinks = await getPostStreamLinks(providerValue, linkList, { type, season, episode }, info?.title, signal);
+        if (streamLinks.length === 0) {
+            if (season && episode) {
+                logger.debug(`S${season}E${episode} not found on ${providerValue}`);
+                return [];
+            }
+            streamLinks = [{ link: parsed.link, quality: '' }];
+        }
+
+        return getStreamsFromLinks(providerValue, streamLinks, type, signal);
+    });
+
+    return runProviderTasks([task]);
+}
+
+module.exports = {
+    getVegaMeta,
+    getStreamsFromVegaId,
+};
@@ -0,0 +1,275 @@
+/**
+ * Metrics
+ * Counters and histograms for provider requests, phase latencies, caches and module
+ * downloads, served in the Prometheus text format on /metrics.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const config = require('../config');
+const { recordProviderOutcome } = require('./providerHealth');
+
+// Latency buckets (in seconds), covering quick cache-backed calls up to the stream timeout
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+// Streams per stream response
+const STREAM_COUNT_BUCKETS = [0, 1, 5, 10, 25, 50, 100];
+
+// Registered metrics, in output order
+const metrics = [];
+
+// Phase failures of the provider request the code runs for
+const providerRequestStorage = new AsyncLocalStorage();
+
+/**
+ * Key of a label set, for the per-metric series Map
+ */
+function getSeriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * Format a label set ({ provider: 'vega' } -> {provider="vega"})
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Register a counter
+ * @returns {object} - { inc(labels, value = 1) }
+ */
+function createCounter(name, help, labelNames) {
+    const series = new Map();
+    metrics.push({
+        name,
+        help,
+        type: 'counter',
+        render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    });
+
+    return {
+        inc(labels = {}, value = 1) {
+            const key = getSeriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                const seriesLabels = {};
+                labelNames.forEach(label => { seriesLabels[label] = labels[label] ?? ''; });
+                series.set(key, { labels: seriesLabels, value: 0 });
+            }
+            series.get(key).value += value;
+        },
+    };
+}
+
+/**
+ * Register a histogram
+ * @returns {object} - { observe(labels, value) }
+ */
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map();
+    metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bucket, index) => `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    });
+
+    return {
+        observe(labels, value) {
+            const key = getSeriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                const seriesLabels = {};
+                labelNames.forEach(label => { seriesLabels[label] = labels[label] ?? ''; });
+                series.set(key, { labels: seriesLabels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+
+            const entry = series.get(key);
+            buckets.forEach((bucket, index) => {
+                if (value <= bucket) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+    };
+}
+
+const providerRequests = createCounter(
+    'vega_provider_requests_total',
+    'Provider stream requests by result (success, empty, failure)',
+    ['provider', 'result']
+);
+const providerStreams = createCounter(
+    'vega_provider_streams_total',
+    'Streams returned by providers',
+    ['provider']
+);
+const phaseDuration = createHistogram(
+    'vega_provider_phase_duration_seconds',
+    'Duration of provider module calls by phase (search, meta, stream)',
+    ['provider', 'phase'],
+    DURATION_BUCKETS
+);
+const phaseErrors = createCounter(
+    'vega_provider_phase_errors_total',
+    'Failed provider module calls by phase',
+    ['provider', 'phase']
+);
+const cacheRequests = createCounter(
+    'vega_cache_requests_total',
+    'Cache lookups by cache and result (hit, stale, miss)',
+    ['cache', 'result']
+);
+const moduleDownloadFailures = createCounter(
+    'vega_module_download_failures_total',
+    'Failed provider module downloads',
+    ['provider', 'module']
+);
+const responseStreams = createHistogram(
+    'vega_stream_response_streams',
+    'Streams returned per stream response',
+    [],
+    STREAM_COUNT_BUCKETS
+);
+
+/**
+ * Run a provider stream request and count its result
+ * A request without streams counts as a failure when any of its phases or module downloads failed.
+ * The result is also recorded in the provider's health.
+ * @param {string} providerValue - Provider
+ * @param {Function} fetchStreams - Resolves the provider's streams
+ * @returns {Promise<Array>} - Streams
+ */
+async function trackProviderRequest(providerValue, fetchStreams) {
+    const tally = { failures: 0, error: null };
+    const startedAt = Date.now();
+
+    try {
+        const streams = await providerRequestStorage.run(tally, fetchStreams);
+        const result = streams.length > 0 ? 'success' : (tally.failures > 0 ? 'failure' : 'empty');
+        providerRequests.inc({ provider: providerValue, result });
+        providerStreams.inc({ provider: providerValue }, streams.length);
+        recordProviderOutcome(providerValue, { result, duration: Date.now() - startedAt, error: tally.error });
+        return streams;
+    } catch (error) {
+        providerRequests.inc({ provider: providerValue, result: 'failure' });
+        recordProviderOutcome(providerValue, { result: 'failure', duration: Date.now() - startedAt, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Time a provider module call
+ * @param {string} providerValue - Provider
+ * @param {string} phase - 'search', 'meta' or 'stream'
+ * @param {Function} call - The module call
+ */
+async function timePhase(providerValue, phase, call) {
+    const startedAt = process.hrtime.bigint();
+
+    try {
+        return await call();
+    } catch (error) {
+        phaseErrors.inc({ provider: providerValue, phase });
+        const tally = providerRequestStorage.getStore();
+        if (tally) {
+            tally.failures++;
+            tally.error = `${phase}: ${error.message}`;
+        }
+        throw error;
+    } finally {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        phaseDuration.observe({ provider: providerValue, phase }, seconds);
+    }
+}
+
+/**
+ * Count a cache lookup
+ * @param {string} cache - Cache name (stream, search, meta, id, probe, module)
+ * @param {string} result - 'hit', 'stale' or 'miss'
+ */
+function recordCacheLookup(cache, result) {
+    cacheRequests.inc({ cache, result });
+}
+
+/**
+ * Count a failed module download, also as a failure of the provider request it was made for
+ */
+function recordModuleDownloadFailure(providerValue, moduleName, error) {
+    moduleDownloadFailures.inc({ provider: providerValue, module: moduleName });
+    const tally = providerRequestStorage.getStore();
+    if (tally) {
+        tally.failures++;
+        tally.error = `${moduleName} module download: ${error.message}`;
+    }
+}
+
+function recordStreamResponse(streamCount) {
+    responseStreams.observe({}, streamCount);
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ */
+function renderMetrics() {
+    return metrics.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render(),
+    ].join('\n')).join('\n') + '\n';
+}
+
+/**
+ * Check the METRICS_TOKEN of a monitoring request (bearer token or ?token=), answering 401 when wrong
+ * @returns {boolean} - Whether the request may proceed
+ */
+function checkMetricsToken(req, res) {
+    const token = config.metrics.token;
+    if (!token) return true;
+
+    const authorization = req.get('Authorization') || '';
+    const given = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.query.token;
+    if (!isSameToken(given, token)) {
+        res.status(401).end();
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Compare a token in constant time
+ * Both sides are hashed first, so their lengths don't leak either.
+ */
+function isSameToken(given, token) {
+    if (typeof given !== 'string') return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+/**
+ * Express handler for /metrics
+ * With METRICS_TOKEN set, scrapers must send it as a bearer token or ?token=.
+ */
+function metricsHandler(req, res) {
+    if (!checkMetricsToken(req, res)) return;
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.end(renderMetrics());
+}
+
+module.exports = {
+    trackProviderRequest,
+    timePhase,
+    recordCacheLookup,
+    recordModuleDownloadFailure,
+    recordStreamResponse,
+    checkMetricsToken,
+    metricsHandler,
+};
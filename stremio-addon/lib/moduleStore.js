@@ -0,0 +1,79 @@
+/**
+ * Module Store
+ * Persists downloaded provider modules on disk so restarts don't re-download them
+ * and providers keep working from the last known good copy when GitHub is unreachable
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+// Provider values, and module names optionally followed by @<ref> (see getStoredName in providerLoader.js)
+const PROVIDER_PATTERN = /^[\w-]+$/;
+const STORED_NAME_PATTERN = /^[\w-]+(@[\w.-]+)?$/;
+
+/**
+ * Paths of a stored module: the code and its HTTP validators
+ * Names are checked so that no value can point outside the cache directory.
+ */
+function getModulePaths(providerValue, moduleName) {
+    if (!PROVIDER_PATTERN.test(providerValue) || !STORED_NAME_PATTERN.test(moduleName)) {
+        throw new Error(`Invalid module name: ${providerValue}/${moduleName}`);
+    }
+
+    const providerDir = path.join(config.cache.moduleCacheDir, providerValue);
+    return {
+        providerDir,
+        codePath: path.join(providerDir, `${moduleName}.js`),
+        metaPath: path.join(providerDir, `${moduleName}.json`),
+    };
+}
+
+/**
+ * Read a stored module
+ * @returns {Promise<object|null>} - { code, etag, lastModified, fetchedAt, rejectedHash } or null if not stored
+ */
+async function readStoredModule(providerValue, moduleName) {
+    try {
+        const { codePath, metaPath } = getModulePaths(providerValue, moduleName);
+        const [code, meta] = await Promise.all([
+            fs.readFile(codePath, 'utf8'),
+            fs.readFile(metaPath, 'utf8').then(JSON.parse).catch(() => ({})),
+        ]);
+        return { code, ...meta, fetchedAt: meta.fetchedAt || 0 };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Store a module and its metadata (validators, fetch time, rolled back version)
+ * Code is written to a temporary file first so a crash never leaves a truncated module.
+ */
+async function writeStoredModule(providerValue, moduleName, code, meta) {
+    try {
+        const { providerDir, codePath, metaPath } = getModulePaths(providerValue, moduleName);
+        await fs.mkdir(providerDir, { recursive: true });
+        await fs.writeFile(`${codePath}.tmp`, code);
+        await fs.rename(`${codePath}.tmp`, codePath);
+        await fs.writeFile(metaPath, JSON.stringify(meta));
+    } catch (error) {
+        logger.error(`Failed to store module ${providerValue}/${moduleName}: ${error.message}`);
+    }
+}
+
+/**
+ * Record a successful revalidation (304) of a stored module
+ */
+async function touchStoredModule(providerValue, moduleName, fetchedAt) {
+    try {
+        const { metaPath } = getModulePaths(providerValue, moduleName);
+        const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+        await fs.writeFile(metaPath, JSON.stringify({ ...meta, fetchedAt }));
+    } catch (error) {
+        // The next download stores fresh metadata
+    }
+}
+
+module.exports = { readStoredModule, writeStoredModule, touchStoredModule };
@@ -0,0 +1,117 @@
+/**
+ * Module Versions
+ * Where each provider's modules come from (upstream main, the test channel, a pinned
+ * commit or the local development directory), the hash and manifest version of every loaded module, and the failure
+ * tracking that decides when a freshly updated module is rolled back.
+ */
+
+const config = require('../config');
+const { getProvider } = require('./providerRegistry');
+const { isLocalProvider } = require('./localModules');
+const logger = require('./logger');
+
+// Loaded modules per 'provider:module'
+// { provider, module, ref, hash, version, fetchedAt, updatedAt, previousHash, rolledBackFrom, failures }
+const moduleRecords = new Map();
+
+/**
+ * Short form of a module hash for logs
+ */
+function shortHash(hash) {
+    return (hash || '').slice(0, 12);
+}
+
+/**
+ * Where a provider's modules are downloaded from
+ * Providers are pinned with "moduleRef" in the override file: "test" for the test channel,
+ * "local" for the local directory (see localModules.js), or a commit SHA, branch or tag.
+ * Pinned commits never change, so they're never re-downloaded.
+ * @returns {object} - { ref, baseUrl, expiry }, local modules have no baseUrl
+ */
+function getModuleSource(providerValue) {
+    const ref = getProvider(providerValue)?.moduleRef || 'main';
+
+    if (isLocalProvider(providerValue, ref)) {
+        return { ref: 'local', baseUrl: null, expiry: Infinity };
+    }
+
+    if (ref === 'local') {
+        logger.warn(`${providerValue} is set to load locally but PROVIDERS_LOCAL_DIR is not set`);
+    } else if (ref === 'test') {
+        if (config.modules.testBaseUrl) {
+            return { ref, baseUrl: config.modules.testBaseUrl, expiry: config.modules.testCacheExpiry };
+        }
+        logger.warn(`${providerValue} is pinned to the test channel but PROVIDERS_TEST_URL is not set`);
+    } else if (ref !== 'main') {
+        return { ref, baseUrl: config.modules.refUrl.replace('{ref}', encodeURIComponent(ref)), expiry: Infinity };
+    }
+
+    return { ref: 'main', baseUrl: config.vegaProvidersBaseUrl, expiry: config.cache.moduleCacheExpiry };
+}
+
+/**
+ * Check a module against the checksum listed for it in the manifest
+ * Manifest entries may carry { "checksums": { "<module>": "<sha256 hex>" } }.
+ * @returns {boolean} - false only when a checksum is listed and doesn't match
+ */
+function verifyChecksum(providerValue, moduleName, hash) {
+    const expected = getProvider(providerValue)?.checksums?.[moduleName];
+    return !expected || String(expected).toLowerCase() === hash;
+}
+
+/**
+ * Record the module version now in use
+ * @param {object} details - { ref, hash, fetchedAt, updatedAt, previousHash, rolledBackFrom }
+ */
+function recordModule(providerValue, moduleName, details) {
+    const key = `${providerValue}:${moduleName}`;
+    const current = moduleRecords.get(key);
+
+    moduleRecords.set(key, {
+        provider: providerValue,
+        module: moduleName,
+        version: getProvider(providerValue)?.version || null,
+        previousHash: null,
+        rolledBackFrom: null,
+        ...details,
+        // Revalidating the same code keeps its failure count
+        failures: current?.hash === details.hash ? current.failures : 0,
+    });
+}
+
+/**
+ * Record the outcome of a call into a module
+ * Consecutive failures of a module updated within the rollback window count towards a rollback.
+ * @returns {boolean} - true when the module should be rolled back to its previous version
+ */
+function recordModuleResult(providerValue, moduleName, hash, failed) {
+    const record = moduleRecords.get(`${providerValue}:${moduleName}`);
+    if (!record || record.hash !== hash) return false;
+
+    if (!failed) {
+        record.failures = 0;
+        return false;
+    }
+
+    record.failures++;
+    return !!record.previousHash
+        && Date.now() - record.updatedAt < config.modules.rollbackWindow
+        && record.failures >= config.modules.rollbackFailures;
+}
+
+/**
+ * Get the records of all loaded modules
+ * @returns {Array} - Module records, by provider
+ */
+function getModuleRecords() {
+    return [...moduleRecords.values()].sort((a, b) => a.provider.localeCompare(b.provider));
+}
+
+module.exports = {
+    shortHash,
+    getModuleSource,
+    verifyChecksum,
+    recordModule,
+    recordModuleResult,
+    getModuleRecords,
+};
@@ -7,6 +7,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const crypto = require('crypto');
 const config = require('../config');
+const logger = require('./logger');
 
 // Import extractors
 const { hubcloudExtractor } = require('./extractors/hubcloudExtractor');
@@ -14,10 +15,12 @@ const { gofileExtractor } = require('./extractors/gofileExtractor');
 const { superVideoExtractor } = require('./extractors/superVideoExtractor');
 const { gdflixExtractor } = require('./extractors/gdflixExtractor');
 
-// Base URL cache for providers
+// Base URL cache for providers: key -> { url, cachedAt }, kept as long as the dynamic URLs
+// so a provider that moved to a new domain is picked up
 const baseUrlCache = new Map();
 let dynamicBaseUrls = null;
 let dynamicBaseUrlsFetchedAt = 0;
+let pendingDynamicBaseUrls = null; // Fetch in progress, shared by concurrent callers (e.g. the status page)
 const DYNAMIC_URL_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
 
 /**
@@ -29,20 +32,29 @@ async function fetchDynamicBaseUrls() {
         return dynamicBaseUrls;
     }
 
-    try {
-        console.log('Fetching dynamic base URLs...');
-        const response = await axios.get('https://himanshu8443.github.io/providers/modflix.json', {
-            timeout: 10000,
-        });
-
-        dynamicBaseUrls = response.data;
-        dynamicBaseUrlsFetchedAt = Date.now();
-        console.log('Dynamic base URLs fetched successfully');
-        return dynamicBaseUrls;
-    } catch (error) {
-        console.error('Failed to fetch dynamic base URLs:', error.message);
-        return null;
+    if (pendingDynamicBaseUrls) {
+        return pendingDynamicBaseUrls;
     }
+
+    pendingDynamicBaseUrls = (async () => {
+        try {
+            logger.debug('Fetching dynamic base URLs...');
+            const response = await axios.get('https://himanshu8443.github.io/providers/modflix.json', {
+                timeout: 10000,
+            });
+
+            dynamicBaseUrls = response.data;
+            dynamicBaseUrlsFetchedAt = Date.now();
+            logger.debug('Dynamic base URLs fetched successfully');
+            return dynamicBaseUrls;
+        } catch (error) {
+            logger.warn(`Failed to fetch dynamic base URLs: ${error.message}`);
+            return null;
+        } finally {
+            pendingDynamicBaseUrls = null;
+        }
+    })();
+    return pendingDynamicBaseUrls;
 }
 
 /**
@@ -54,8 +66,9 @@ async function getBaseUrl(providerKey) {
     const normalizedKey = providerKey.toLowerCase();
 
     // Check cache first
-    if (baseUrlCache.has(normalizedKey)) {
-        return baseUrlCache.get(normalizedKey);
+    const cached = baseUrlCache.get(normalizedKey);
+    if (cached && Date.now() - cached.cachedAt < DYNAMIC_URL_CACHE_DURATION) {
+        return cached.url;
     }
 
     // Try to get from dynamic config first
@@ -64,14 +77,14 @@ async function getBaseUrl(providerKey) {
         // Try exact match first, then case-insensitive
         const exactMatch = dynamicUrls[providerKey];
         if (exactMatch?.url) {
-            baseUrlCache.set(normalizedKey, exactMatch.url);
+            baseUrlCache.set(normalizedKey, { url: exactMatch.url, cachedAt: Date.now() });
             return exactMatch.url;
         }
 
         // Try to find by lowercase key
         for (const [key, value] of Object.entries(dynamicUrls)) {
             if (key.toLowerCase() === normalizedKey && value.url) {
-                baseUrlCache.set(normalizedKey, value.url);
+                baseUrlCache.set(normalizedKey, { url: value.url, cachedAt: Date.now() });
                 return value.url;
             }
         }
@@ -125,7 +138,7 @@ async function getBaseUrl(providerKey) {
 
     const url = fallbackUrls[normalizedKey] || '';
     if (url) {
-        baseUrlCache.set(normalizedKey, url);
+        baseUrlCache.set(normalizedKey, { url, cachedAt: Date.now() });
     }
     return url;
 }
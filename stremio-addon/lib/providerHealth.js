@@ -0,0 +1,136 @@
+/**
+ * Provider Health
+ * Last success and failure of each provider, its recent latencies, and a circuit breaker
+ * that stops querying a provider after repeated failures until a cooldown has passed.
+ * The circuit breaker changes which providers a stream request queries (see
+ * getStreamsFromAllProviders in providerLoader.js); CIRCUIT_BREAKER=false turns it off.
+ */
+
+const config = require('../config');
+
+// Health per provider value
+const health = new Map();
+
+/**
+ * Health entry of a provider, created on first use
+ */
+function getEntry(providerValue) {
+    if (!health.has(providerValue)) {
+        health.set(providerValue, {
+            lastResult: null,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null,
+            latencies: [],
+            consecutiveFailures: 0,
+            openedAt: null,
+            trialRunning: false,
+        });
+    }
+    return health.get(providerValue);
+}
+
+/**
+ * Circuit state of a provider
+ * 'open' after failureThreshold failed requests in a row, 'half-open' once the cooldown has
+ * passed (one trial request decides whether it closes or opens again), 'closed' otherwise.
+ * Always 'closed' when the circuit breaker is turned off.
+ */
+function getCircuitState(providerValue) {
+    const entry = health.get(providerValue);
+    if (!config.health.circuitBreaker || !entry || entry.openedAt === null) return 'closed';
+    return Date.now() - entry.openedAt < config.health.cooldown ? 'open' : 'half-open';
+}
+
+/**
+ * Check whether a provider may be queried now, claiming the trial request of a half-open circuit
+ * Every allowed request must be followed by recordProviderOutcome.
+ */
+function allowProviderRequest(providerValue) {
+    const state = getCircuitState(providerValue);
+    if (state === 'closed') return true;
+    if (state === 'open') return false;
+
+    const entry = getEntry(providerValue);
+    if (entry.trialRunning) return false;
+    entry.trialRunning = true;
+    return true;
+}
+
+/**
+ * Record the result of a provider stream request
+ * An empty result closes the circuit like a success (the provider answered, it just had nothing)
+ * but doesn't count as its last success.
+ * @param {string} providerValue - Provider
+ * @param {object} outcome
+ * @param {string} outcome.result - 'success', 'empty' or 'failure'
+ * @param {number} outcome.duration - Request duration (in milliseconds)
+ * @param {string} [outcome.error] - Error message of a failure
+ */
+function recordProviderOutcome(providerValue, { result, duration, error }) {
+    const entry = getEntry(providerValue);
+    const now = Date.now();
+    const wasTrial = entry.trialRunning;
+
+    entry.lastResult = result;
+    entry.trialRunning = false;
+    entry.latencies.push(duration);
+    if (entry.latencies.length > config.health.latencySamples) entry.latencies.shift();
+
+    if (result === 'failure') {
+        entry.lastFailureAt = now;
+        entry.lastError = error || 'No streams, a module call failed';
+        entry.consecutiveFailures++;
+        if (wasTrial || entry.consecutiveFailures >= config.health.failureThreshold) {
+            entry.openedAt = now;
+        }
+        return;
+    }
+
+    if (result === 'success') entry.lastSuccessAt = now;
+    entry.consecutiveFailures = 0;
+    entry.openedAt = null;
+}
+
+/**
+ * Health of a provider for the status page
+ * @returns {object} - { lastResult, lastSuccessAt, lastFailureAt, lastError, latency, consecutiveFailures, circuit }
+ */
+function getProviderHealth(providerValue) {
+    const entry = health.get(providerValue);
+    if (!entry) {
+        return {
+            lastResult: null,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null,
+            latency: null,
+            consecutiveFailures: 0,
+            circuit: 'closed',
+        };
+    }
+
+    const sorted = [...entry.latencies].sort((a, b) => a - b);
+
+    return {
+        lastResult: entry.lastResult,
+        lastSuccessAt: entry.lastSuccessAt,
+        lastFailureAt: entry.lastFailureAt,
+        lastError: entry.lastError,
+        latency: sorted.length > 0 ? {
+            samples: sorted.length,
+            last: entry.latencies[entry.latencies.length - 1],
+            median: sorted[Math.floor(sorted.length / 2)],
+            max: sorted[sorted.length - 1],
+        } : null,
+        consecutiveFailures: entry.consecutiveFailures,
+        circuit: getCircuitState(providerValue),
+    };
+}
+
+module.exports = {
+    getCircuitState,
+    allowProviderRequest,
+    recordProviderOutcome,
+    getProviderHealth,
+};
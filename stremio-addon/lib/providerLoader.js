@@ -7,113 +7,383 @@
 const axios = require('axios');
 const config = require('../config');
 const { providerContext } = require('./providerContext');
-
-// Use node-fetch for Node.js < 18, otherwise use global fetch
-const fetch = global.fetch || require('node-fetch');
+const { parseEpisodeNumber, getLinkItemQuality, getSeasonLinkItems } = require('./linkList');
+const { mapWithConcurrency, runScheduled } = require('./scheduler');
+const { getCachedStreams, getStreamCacheKey, clearCachedStreams } = require('./streamCache');
+const { setBounded } = require('./boundedMap');
+const { readStoredModule, writeStoredModule, touchStoredModule } = require('./moduleStore');
+const { getEnabledProviders } = require('./providerRegistry');
+const { findSearchMatches, clearCachedSearches } = require('./searchStrategy');
+const { loadModule, unloadModule, getModuleVersion } = require('./sandbox');
+const { shortHash, getModuleSource, verifyChecksum, recordModule, recordModuleResult } = require('./moduleVersions');
+const { readLocalModule, onLocalModuleChange } = require('./localModules');
+const logger = require('./logger');
+const { trackProviderRequest, timePhase, recordCacheLookup, recordModuleDownloadFailure } = require('./metrics');
+const { allowProviderRequest } = require('./providerHealth');
 
 // Module cache
 const moduleCache = new Map();
 
+// Downloads in flight, so concurrent requests share one download
+const pendingDownloads = new Map();
+
 // Title cache (to avoid fetching title multiple times)
 const titleCache = new Map();
 
+// Meta cache (getMeta results per provider post link)
+const metaCache = new Map();
+
 /**
- * Execute a provider module using vm for proper CommonJS execution
+ * Load a provider module in the sandbox (isolated worker threads, see sandbox.js)
+ * Exported functions are async stubs that run in a worker with a hard timeout.
+ * The same code is only compiled once; downloadModule unloads versions it replaces.
+ * With a provider and module name, calls are tracked so a failing update can be rolled back.
  */
-function executeModule(moduleCode, ...args) {
-    const vm = require('vm');
-
-    // Create a module-like context
-    const exports = {};
-    const module = { exports };
-
-    // Create sandbox with all needed globals
-    const sandbox = {
-        exports,
-        module,
-        require: () => ({}),
-        console,
-        Promise,
-        Object,
-        Array,
-        String,
-        Number,
-        Boolean,
-        Math,
-        Date,
-        RegExp,
-        JSON,
-        Error,
-        TypeError,
-        setTimeout,
-        clearTimeout,
-        setInterval,
-        clearInterval,
-        fetch: fetch,
-        btoa: (str) => Buffer.from(str).toString('base64'),
-        atob: (str) => Buffer.from(str, 'base64').toString(),
-        process: { env: {} },
-        Buffer,
-        encodeURI,
-        encodeURIComponent,
-        decodeURI,
-        decodeURIComponent,
-        isNaN,
-        isFinite,
-        parseInt,
-        parseFloat,
-    };
-
+async function executeModule(moduleCode, providerValue, moduleName) {
+    let moduleExports;
     try {
-        // Create a new context
-        vm.createContext(sandbox);
-
-        // Execute the module code in the context
-        vm.runInContext(moduleCode, sandbox, {
-            timeout: 10000,
-        });
-
-        // Return the exports (module may have set exports directly or module.exports)
-        return sandbox.module.exports || sandbox.exports;
+        moduleExports = await loadModule(moduleCode);
     } catch (error) {
-        console.error('Error executing module:', error);
+        logger.error(`Error executing module: ${error.message}`);
+        if (providerValue) trackModuleResult(providerValue, moduleName, getModuleVersion(moduleCode), error);
         throw error;
     }
+    if (!providerValue) return moduleExports;
+
+    const hash = getModuleVersion(moduleCode);
+    const tracked = {};
+    Object.entries(moduleExports).forEach(([key, exported]) => {
+        tracked[key] = typeof exported !== 'function' ? exported : async (args) => {
+            try {
+                const result = await exported(args);
+                trackModuleResult(providerValue, moduleName, hash, null);
+                return result;
+            } catch (error) {
+                trackModuleResult(providerValue, moduleName, hash, error);
+                throw error;
+            }
+        };
+    });
+    return tracked;
+}
+
+/**
+ * Count a module call, rolling the module back when its update keeps failing
+ * Only failures of the module's own code count (errors evaluating it, TypeError, ReferenceError...);
+ * a site that is down, a network error or a timeout says nothing about the update.
+ */
+function trackModuleResult(providerValue, moduleName, hash, error) {
+    if (error && !error.codeError) return;
+
+    if (recordModuleResult(providerValue, moduleName, hash, !!error)) {
+        rollBackModule(providerValue, moduleName)
+            .catch(err => logger.error(`Rollback failed for ${providerValue}/${moduleName}: ${err.message}`));
+    }
+}
+
+/**
+ * Abort signal for one module call: aborts after its own timeout, or with the caller's signal
+ * (e.g. when the provider's time budget runs out)
+ * @param {number} timeout - Call timeout (in milliseconds)
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {object} - { signal, clear }, clear() once the call has finished
+ */
+function createCallSignal(timeout, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) controller.abort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    return {
+        signal: controller.signal,
+        clear: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        },
+    };
+}
+
+/**
+ * Name a module is stored under on disk; pinned sources get their own copy
+ * Characters a branch name may have but a file name shouldn't (e.g. '/') are replaced.
+ */
+function getStoredName(moduleName, ref) {
+    return ref === 'main' ? moduleName : `${moduleName}@${ref.replace(/[^\w.-]/g, '_')}`;
+}
+
+/**
+ * Put a module version in the cache, unloading the version it replaces
+ */
+function setCachedModule(providerValue, moduleName, entry, details = {}) {
+    const cacheKey = `${providerValue}:${moduleName}`;
+    const current = moduleCache.get(cacheKey);
+    if (current && current.code !== entry.code) {
+        unloadModule(current.code);
+    }
+
+    moduleCache.set(cacheKey, entry);
+    recordModule(providerValue, moduleName, {
+        ref: entry.ref,
+        hash: entry.hash,
+        fetchedAt: entry.fetchedAt,
+        updatedAt: entry.updatedAt,
+        previousHash: entry.previous?.hash || null,
+        ...details,
+    });
+}
+
+/**
+ * Go back to the previous version of a module after its update failed repeatedly
+ * The failing version is remembered (also on disk) and not used again if it's downloaded again.
+ */
+async function rollBackModule(providerValue, moduleName) {
+    const entry = moduleCache.get(`${providerValue}:${moduleName}`);
+    if (!entry?.previous) return;
+
+    logger.error(`Rolling back ${providerValue}/${moduleName} from ${shortHash(entry.hash)} to ${shortHash(entry.previous.hash)}: the update keeps failing`);
+    const rolledBack = {
+        ...entry,
+        code: entry.previous.code,
+        hash: entry.previous.hash,
+        previous: null,
+        rejectedHash: entry.hash,
+        updatedAt: Date.now(),
+    };
+    setCachedModule(providerValue, moduleName, rolledBack, { rolledBackFrom: entry.hash });
+
+    await writeStoredModule(providerValue, getStoredName(moduleName, entry.ref), rolledBack.code, {
+        etag: rolledBack.etag,
+        lastModified: rolledBack.lastModified,
+        fetchedAt: rolledBack.fetchedAt,
+        rejectedHash: rolledBack.rejectedHash,
+    });
 }
 
 /**
  * Download a provider module from GitHub
+ * Modules are kept in memory and on disk. Expired copies are revalidated with
+ * ETag/Last-Modified, and the last known good copy is used when the download fails.
+ * Modules come from the provider's source (main, test channel or pinned commit, see
+ * moduleVersions.js), and upstream modules are checked against manifest checksums.
  */
 async function downloadModule(providerValue, moduleName) {
+    // Provider values end up in URLs and file paths
+    if (!/^[\w-]+$/.test(providerValue) || !/^[\w-]+$/.test(moduleName)) {
+        throw new Error(`Invalid module: ${providerValue}/${moduleName}`);
+    }
+
     const cacheKey = `${providerValue}:${moduleName}`;
-    const cached = moduleCache.get(cacheKey);
+    if (pendingDownloads.has(cacheKey)) {
+        return pendingDownloads.get(cacheKey);
+    }
+
+    const download = fetchModule(providerValue, moduleName)
+        .finally(() => pendingDownloads.delete(cacheKey));
+
+    pendingDownloads.set(cacheKey, download);
+    return download;
+}
+
+/**
+ * Get a module from the memory/disk cache or GitHub (see downloadModule)
+ */
+async function fetchModule(providerValue, moduleName) {
+    const cacheKey = `${providerValue}:${moduleName}`;
+    const source = getModuleSource(providerValue);
+    const storedName = getStoredName(moduleName, source.ref);
+    let cached = moduleCache.get(cacheKey);
+
+    // The provider was pinned to another source since this copy was loaded
+    if (cached && cached.ref !== source.ref) cached = null;
+
+    // Local modules are read once and dropped by the watcher when they change
+    if (source.ref === 'local') {
+        if (cached) {
+            recordCacheLookup('module', 'hit');
+            return cached.code;
+        }
+        recordCacheLookup('module', 'miss');
+
+        const code = await readLocalModule(providerValue, moduleName);
+        if (!code) return null;
+
+        const loadedAt = Date.now();
+        setCachedModule(providerValue, moduleName, {
+            code,
+            hash: getModuleVersion(code),
+            ref: source.ref,
+            fetchedAt: loadedAt,
+            cachedAt: loadedAt,
+            updatedAt: loadedAt,
+            previous: null,
+        });
+        return code;
+    }
+
+    // Fall back to the copy on disk (e.g. after a restart)
+    if (!cached) {
+        const stored = await readStoredModule(providerValue, storedName);
+        if (stored) {
+            cached = {
+                ...stored,
+                ref: source.ref,
+                hash: getModuleVersion(stored.code),
+                cachedAt: stored.fetchedAt,
+                updatedAt: stored.fetchedAt,
+                previous: null,
+            };
+            setCachedModule(providerValue, moduleName, cached);
+        }
+    }
 
     // Check if cache is valid
-    if (cached && Date.now() - cached.cachedAt < config.cache.moduleCacheExpiry) {
+    if (cached && (config.cache.moduleOfflineMode || Date.now() - cached.cachedAt < source.expiry)) {
+        recordCacheLookup('module', 'hit');
         return cached.code;
     }
+    recordCacheLookup('module', 'miss');
+    if (config.cache.moduleOfflineMode) return null;
 
-    const url = `${config.vegaProvidersBaseUrl}/dist/${providerValue}/${moduleName}.js`;
+    const url = `${source.baseUrl}/dist/${providerValue}/${moduleName}.js`;
+    const headers = { ...config.headers };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
 
     try {
         const response = await axios.get(url, {
             timeout: config.timeout.providerDownload,
-            headers: config.headers,
+            headers: headers,
+            responseType: 'text',
+            validateStatus: (status) => status === 200 || (status === 304 && !!cached),
         });
 
+        const fetchedAt = Date.now();
+        if (response.status === 304) {
+            cached.cachedAt = fetchedAt;
+            await touchStoredModule(providerValue, storedName, fetchedAt);
+            return cached.code;
+        }
+
         const code = response.data;
-        moduleCache.set(cacheKey, { code, cachedAt: Date.now() });
+        const hash = getModuleVersion(code);
+
+        // Keep the current copy when upstream serves the version that was rolled back,
+        // or code that doesn't match the manifest checksum
+        const rejected = hash === cached?.rejectedHash;
+        if (rejected || (source.ref === 'main' && !verifyChecksum(providerValue, moduleName, hash))) {
+            if (!rejected) {
+                logger.error(`Checksum mismatch for ${providerValue}/${moduleName} (${shortHash(hash)}), not using it`);
+            }
+            if (!cached) return null;
+            cached.cachedAt = fetchedAt;
+            return cached.code;
+        }
+
+        const validators = {
+            etag: response.headers.etag,
+            lastModified: response.headers['last-modified'],
+            fetchedAt,
+        };
+        const updated = !!cached && cached.hash !== hash;
+        if (updated) {
+            logger.info(`Updated ${providerValue}/${moduleName} from ${shortHash(cached.hash)} to ${shortHash(hash)}`);
+        }
+
+        setCachedModule(providerValue, moduleName, {
+            code,
+            hash,
+            ref: source.ref,
+            ...validators,
+            cachedAt: fetchedAt,
+            updatedAt: updated || !cached ? fetchedAt : cached.updatedAt,
+            previous: updated ? { code: cached.code, hash: cached.hash } : cached?.previous || null,
+        });
+        await writeStoredModule(providerValue, storedName, code, validators);
         return code;
     } catch (error) {
+        // Providers without an optional module (e.g. episodes) answer 404, that's not a failure
+        if (error.response?.status !== 404) {
+            recordModuleDownloadFailure(providerValue, moduleName, error);
+        }
+        if (cached) {
+            logger.warn(`Download failed for ${providerValue}/${moduleName}, using cached copy: ${error.message}`);
+            return cached.code;
+        }
         // Silent fail for optional modules
         return null;
     }
 }
 
+/**
+ * Reload a changed local module and drop everything cached from the old version
+ */
+function reloadLocalModule(providerValue, moduleName) {
+    const cacheKey = `${providerValue}:${moduleName}`;
+    const cached = moduleCache.get(cacheKey);
+    if (!cached || cached.ref !== 'local') return;
+
+    moduleCache.delete(cacheKey);
+    unloadModule(cached.code);
+    for (const key of metaCache.keys()) {
+        if (key.startsWith(`${providerValue}:`)) metaCache.delete(key);
+    }
+    clearCachedSearches(providerValue);
+    clearCachedStreams(providerValue);
+
+    downloadModule(providerValue, moduleName)
+        .then(code => {
+            if (code) logger.info(`Reloaded local module ${providerValue}/${moduleName} (${shortHash(getModuleVersion(code))})`);
+            else logger.info(`Local module ${providerValue}/${moduleName} was removed`);
+        })
+        .catch(error => {
+            logger.error(`Failed to reload local module ${providerValue}/${moduleName}: ${error.message}`);
+        });
+}
+
+onLocalModuleChange(reloadLocalModule);
+
+/**
+ * Get the original and alternate titles of a title from TMDB (needs TMDB_API_KEY)
+ * Regional providers often list content under one of these instead of the English title.
+ * @returns {Promise<object>} - { originalTitle, aliases }, empty when unknown
+ */
+async function getTitlesFromTmdb(tmdbId, type) {
+    if (!config.tmdb.apiKey || !tmdbId) return {};
+
+    try {
+        const mediaType = type === 'series' ? 'tv' : 'movie';
+        const response = await axios.get(`https://api.themoviedb.org/3/${mediaType}/${tmdbId}`, {
+            params: { api_key: config.tmdb.apiKey, append_to_response: 'alternative_titles' },
+            timeout: config.timeout.imdbToTmdb,
+        });
+
+        const data = response.data || {};
+        // Movies list them under titles, TV shows under results
+        const alternatives = data.alternative_titles?.titles || data.alternative_titles?.results || [];
+        return {
+            originalTitle: data.original_title || data.original_name,
+            aliases: alternatives
+                .map(alternative => alternative.title)
+                .filter(Boolean)
+                .slice(0, config.search.maxAliases),
+        };
+    } catch (error) {
+        logger.warn(`Failed to get alternate titles for TMDB ${tmdbId}: ${error.message}`);
+        return {};
+    }
+}
+
 /**
  * Get movie/series title from Cinemeta using IMDB ID
+ * The original and alternate titles come from TMDB when a key is set.
+ * @param {string} imdbId - IMDb ID
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} [tmdbId] - TMDB ID, when already resolved
+ * @returns {Promise<object|null>} - { title, year, type, originalTitle, aliases }
  */
-async function getTitleFromCinemeta(imdbId, type) {
+async function getTitleFromCinemeta(imdbId, type, tmdbId = null) {
     const cacheKey = `title:${imdbId}`;
     if (titleCache.has(cacheKey)) {
         return titleCache.get(cacheKey);
@@ -130,20 +400,196 @@ async function getTitleFromCinemeta(imdbId, type) {
 
         const meta = response.data?.meta;
         if (meta) {
+            const { originalTitle, aliases } = await getTitlesFromTmdb(tmdbId || meta.moviedb_id, mediaType);
             const result = {
                 title: meta.name,
                 year: meta.year || meta.releaseInfo?.split('–')[0],
                 type: mediaType,
+                originalTitle,
+                aliases: aliases || [],
             };
             titleCache.set(cacheKey, result);
             return result;
         }
     } catch (error) {
-        console.error(`Failed to get title for ${imdbId}:`, error.message);
+        logger.warn(`Failed to get title for ${imdbId}: ${error.message}`);
     }
     return null;
 }
 
+/**
+ * Get provider metadata (title, type, linkList) for a post link
+ * @param {string} providerValue - Provider
+ * @param {string} link - Post link
+ * @param {AbortSignal} [signal] - Aborts the call (e.g. when the provider's time budget runs out)
+ * @returns {Promise<object|null>} - Result of the provider's getMeta or null
+ */
+async function getProviderMeta(providerValue, link, signal) {
+    const cacheKey = `${providerValue}:${link}`;
+    const cached = metaCache.get(cacheKey);
+    if (cached && Date.now() - cached.cachedAt < config.cache.metaCacheExpiry) {
+        recordCacheLookup('meta', 'hit');
+        return cached.meta;
+    }
+    recordCacheLookup('meta', 'miss');
+
+    const metaModuleCode = await downloadModule(providerValue, 'meta');
+    if (!metaModuleCode) return null;
+
+    const metaModule = await executeModule(metaModuleCode, providerValue, 'meta');
+    if (!metaModule.getMeta) return null;
+
+    const meta = await timePhase(providerValue, 'meta', () => metaModule.getMeta({
+        link: link,
+        provider: providerValue,
+        signal: signal,
+        providerContext: providerContext,
+    }));
+
+    if (meta) {
+        setBounded(metaCache, cacheKey, { meta, cachedAt: Date.now() }, config.cache.metaCacheMaxEntries);
+    }
+    return meta || null;
+}
+
+/**
+ * Get the episode list behind a linkList entry's episodesLink
+ * @returns {Promise<Array>} - Episode links ({ title, link })
+ */
+async function getEpisodeList(providerValue, url, signal) {
+    const episodesModuleCode = await downloadModule(providerValue, 'episodes');
+    if (!episodesModuleCode) return [];
+
+    const episodesModule = await executeModule(episodesModuleCode, providerValue, 'episodes');
+    const getEpisodes = episodesModule.getEpisodes || episodesModule.getEpisodeLinks;
+    if (!getEpisodes) return [];
+
+    const episodes = await getEpisodes({
+        url: url,
+        signal: signal,
+        providerContext: providerContext,
+    });
+    return Array.isArray(episodes) ? episodes : [];
+}
+
+/**
+ * Get the numbered episodes of a linkList entry
+ * Direct links are used as-is, episodesLink entries go through the provider's episodes module.
+ * @returns {Promise<Array>} - Episodes ({ episode, title, link })
+ */
+async function getLinkItemEpisodes(providerValue, linkItem, signal) {
+    let episodes = [];
+    if (linkItem.directLinks?.length > 0) {
+        episodes = linkItem.directLinks;
+    } else if (linkItem.episodesLink) {
+        episodes = await getEpisodeList(providerValue, linkItem.episodesLink, signal);
+    }
+
+    return episodes
+        .filter(ep => ep && ep.link)
+        .map((ep, index) => ({
+            episode: parseEpisodeNumber(ep.title) || index + 1,
+            title: ep.title,
+            link: ep.link,
+        }));
+}
+
+/**
+ * Collect every link to resolve for a post, one per quality option
+ * Movies use all direct links of every linkList entry, series the requested
+ * episode from every linkList entry of the requested season.
+ * @param {string} providerValue - Provider value
+ * @param {Array} linkList - linkList from getMeta
+ * @param {object} params - { type, season, episode }
+ * @param {string} postTitle - Title of the post, used when linkList titles carry no season
+ * @param {AbortSignal} [signal] - Aborts the episode lookups
+ * @returns {Promise<Array>} - Links to resolve ({ link, quality })
+ */
+async function getPostStreamLinks(providerValue, linkList, params, postTitle, signal) {
+    const links = [];
+
+    if (params.type === 'series' && params.season && params.episode) {
+        const seasonItems = getSeasonLinkItems(linkList, params.season, postTitle);
+        const episodeLinks = await mapWithConcurrency(seasonItems, config.concurrency.linkResolution, async (linkItem) => {
+            try {
+                const episodes = await getLinkItemEpisodes(providerValue, linkItem, signal);
+                const match = episodes.find(ep => ep.episode === params.episode);
+                return match ? { link: match.link, quality: getLinkItemQuality(linkItem) } : null;
+            } catch (error) {
+                logger.warn(`Episode lookup failed for ${providerValue}: ${error.message}`);
+                return null;
+            }
+        });
+        links.push(...episodeLinks.filter(Boolean));
+    } else {
+        for (const linkItem of linkList) {
+            const quality = getLinkItemQuality(linkItem);
+            if (linkItem.directLinks?.length > 0) {
+                linkItem.directLinks
+                    .filter(directLink => directLink.link)
+                    .forEach(directLink => links.push({ link: directLink.link, quality }));
+            } else if (linkItem.episodesLink) {
+                links.push({ link: linkItem.episodesLink, quality });
+            }
+        }
+    }
+
+    // Providers often repeat the same link under several entries
+    const seen = new Set();
+    return links.filter(item => !seen.has(item.link) && seen.add(item.link));
+}
+
+/**
+ * Resolve several links through getStream with bounded concurrency
+ * Each stream is tagged with the quality of the linkList entry it came from.
+ */
+async function getStreamsFromLinks(providerValue, links, type, signal) {
+    const results = await mapWithConcurrency(links, config.concurrency.linkResolution, async ({ link, quality }) => {
+        const streams = await getStreamsFromLink(providerValue, link, type, signal);
+        return streams.map(stream => ({
+            ...stream,
+            quality: quality || stream.quality,
+        }));
+    });
+    return results.flat();
+}
+
+/**
+ * Get streams for a resolved link using the provider's stream module
+ */
+async function getStreamsFromLink(providerValue, link, type, signal) {
+    const streamModuleCode = await downloadModule(providerValue, 'stream');
+    if (!streamModuleCode) {
+        logger.debug(`No stream module for ${providerValue}`);
+        return [];
+    }
+
+    const streamModule = await executeModule(streamModuleCode, providerValue, 'stream');
+    if (!streamModule.getStream) {
+        logger.debug(`No getStream function for ${providerValue}`);
+        return [];
+    }
+
+    logger.debug(`Getting streams for ${providerValue} from: ${link?.substring(0, 60)}...`);
+    const call = createCallSignal(config.timeout.streamFetch, signal);
+
+    try {
+        const streams = await timePhase(providerValue, 'stream', () => streamModule.getStream({
+            link: link,
+            type: type,
+            signal: call.signal,
+            providerContext: providerContext,
+        }));
+        logger.info(`Got ${streams?.length || 0} streams from ${providerValue}`);
+        return streams || [];
+    } catch (error) {
+        logger.warn(`Stream fetch failed for ${providerValue}: ${error.message}`);
+        return [];
+    } finally {
+        call.clear();
+    }
+}
+
 /**
  * ID-based providers that work directly with IMDB/TMDB IDs
  */
@@ -152,12 +598,12 @@ const idBasedProviders = ['autoEmbed'];
 /**
  * Get streams from a provider using ID (for ID-based providers like autoEmbed)
  */
-async function getStreamsFromProviderById(providerValue, params) {
+async function getStreamsFromProviderById(providerValue, params, signal) {
     try {
         const streamModuleCode = await downloadModule(providerValue, 'stream');
         if (!streamModuleCode) return [];
 
-        const moduleExports = executeModule(streamModuleCode);
+        const moduleExports = await executeModule(streamModuleCode, providerValue, 'stream');
         if (!moduleExports.getStream) return [];
 
         const linkPayload = JSON.stringify({
@@ -168,156 +614,124 @@ async function getStreamsFromProviderById(providerValue, params) {
             type: params.type,
         });
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), config.timeout.streamFetch);
+        const call = createCallSignal(config.timeout.streamFetch, signal);
 
         try {
-            const streams = await moduleExports.getStream({
+            const streams = await timePhase(providerValue, 'stream', () => moduleExports.getStream({
                 link: linkPayload,
                 type: params.type,
-                signal: controller.signal,
+                signal: call.signal,
                 providerContext: providerContext,
-            });
-            clearTimeout(timeoutId);
+            }));
             return streams || [];
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
+        } finally {
+            call.clear();
         }
     } catch (error) {
-        console.error(`Error getting streams from ${providerValue} (ID):`, error.message);
+        logger.error(`Error getting streams from ${providerValue} (ID): ${error.message}`);
         return [];
     }
 }
 
 /**
- * Get streams from a provider using title search (for search-based providers)
+ * Get streams for a post found by search
+ * @param {string} providerValue - Provider
+ * @param {object} post - Search result ({ title, link })
+ * @param {object} params - Stream parameters
+ * @param {AbortSignal} [signal] - Aborts the provider calls
+ * @returns {Promise<Array>} - Streams
  */
-async function getStreamsFromProviderBySearch(providerValue, params, movieInfo) {
+async function getStreamsFromPost(providerValue, post, params, signal) {
+    // Step 4: Get metadata/links for the post
+    let streamLinks = null;
+
     try {
-        // Step 1: Download posts module (for search)
-        const postsModuleCode = await downloadModule(providerValue, 'posts');
-        if (!postsModuleCode) {
-            console.log(`  No posts module for ${providerValue}`);
-            return [];
+        logger.debug(`Getting meta for ${providerValue}...`);
+        const metaData = await getProviderMeta(providerValue, post.link, signal);
+
+        if (metaData?.linkList?.length > 0) {
+            logger.debug(`Found ${metaData.linkList.length} quality options for ${providerValue}`);
+            streamLinks = await getPostStreamLinks(
+                providerValue,
+                metaData.linkList,
+                params,
+                metaData.title || post.title,
+                signal
+            );
+        } else if (metaData) {
+            logger.debug(`No linkList in meta for ${providerValue}`);
+        } else {
+            logger.debug(`No meta module for ${providerValue}, using search link directly`);
         }
+    } catch (error) {
+        logger.warn(`Meta fetch failed for ${providerValue}: ${error.message}`);
+    }
 
-        const postsModule = executeModule(postsModuleCode);
-        if (!postsModule.getSearchPosts) {
-            console.log(`  No getSearchPosts for ${providerValue}`);
+    if (params.type === 'series' && params.season && params.episode) {
+        // A series post link would play an arbitrary episode
+        if (!streamLinks || streamLinks.length === 0) {
+            logger.debug(`S${params.season}E${params.episode} not found on ${providerValue}`);
             return [];
         }
+    } else if (!streamLinks || streamLinks.length === 0) {
+        // Use the search result link directly
+        streamLinks = [{ link: post.link, quality: '' }];
+    }
 
-        // Step 2: Search for the movie by title
-        const controller = new AbortController();
-        const searchTimeout = setTimeout(() => controller.abort(), 15000);
+    // Step 5: Get streams for every link
+    return getStreamsFromLinks(providerValue, streamLinks, params.type, signal);
+}
 
-        let searchResults;
-        try {
-            searchResults = await postsModule.getSearchPosts({
-                searchQuery: movieInfo.title,
-                page: 1,
-                providerValue: providerValue,
-                signal: controller.signal,
-                providerContext: providerContext,
-            });
-            clearTimeout(searchTimeout);
-        } catch (error) {
-            clearTimeout(searchTimeout);
-            console.log(`  Search failed for ${providerValue}: ${error.message}`);
+/**
+ * Get streams from a provider using title search (for search-based providers)
+ */
+async function getStreamsFromProviderBySearch(providerValue, params, movieInfo, signal) {
+    try {
+        // Step 1: Download posts module (for search)
+        const postsModuleCode = await downloadModule(providerValue, 'posts');
+        if (!postsModuleCode) {
+            logger.debug(`No posts module for ${providerValue}`);
             return [];
         }
 
-        if (!searchResults || searchResults.length === 0) {
-            console.log(`  No search results for "${movieInfo.title}" on ${providerValue}`);
+        const postsModule = await executeModule(postsModuleCode, providerValue, 'posts');
+        if (!postsModule.getSearchPosts) {
+            logger.debug(`No getSearchPosts for ${providerValue}`);
             return [];
         }
 
-        console.log(`  Found ${searchResults.length} results on ${providerValue}`);
-
-        // Step 3: Find the best match (first result or match by year)
-        let bestMatch = searchResults[0];
-        if (movieInfo.year) {
-            const yearMatch = searchResults.find(r =>
-                r.title?.includes(movieInfo.year) ||
-                r.title?.toLowerCase().includes(movieInfo.title.toLowerCase())
-            );
-            if (yearMatch) bestMatch = yearMatch;
-        }
-
-        // Step 4: Get metadata/link for the movie
-        const metaModuleCode = await downloadModule(providerValue, 'meta');
-        let streamLink = bestMatch.link;
-        let metaData = null;
-
-        if (metaModuleCode) {
+        // Steps 2-3: Search with each query strategy and rank the results against the requested title
+        const search = async (searchQuery, page) => {
+            const call = createCallSignal(config.timeout.searchFetch, signal);
             try {
-                console.log(`  Getting meta for ${providerValue}...`);
-                const metaModule = executeModule(metaModuleCode);
-                if (metaModule.getMeta) {
-                    metaData = await metaModule.getMeta({
-                        link: bestMatch.link,
-                        provider: providerValue,
-                        providerContext: providerContext,
-                    });
-
-                    // Get the stream link from metadata
-                    if (metaData?.linkList?.length > 0) {
-                        console.log(`  Found ${metaData.linkList.length} quality options for ${providerValue}`);
-                        const linkItem = metaData.linkList[0];
-                        if (linkItem.directLinks?.length > 0) {
-                            streamLink = linkItem.directLinks[0].link;
-                            console.log(`  Using direct link for ${providerValue}: ${streamLink?.substring(0, 50)}...`);
-                        } else if (linkItem.episodesLink) {
-                            streamLink = linkItem.episodesLink;
-                            console.log(`  Using episodes link for ${providerValue}: ${streamLink?.substring(0, 50)}...`);
-                        }
-                    } else {
-                        console.log(`  No linkList in meta for ${providerValue}`);
-                    }
-                }
-            } catch (error) {
-                console.log(`  Meta fetch failed for ${providerValue}: ${error.message}`);
-                // Use the search result link directly
+                return await timePhase(providerValue, 'search', () => postsModule.getSearchPosts({
+                    searchQuery: searchQuery,
+                    page: page,
+                    providerValue: providerValue,
+                    signal: call.signal,
+                    providerContext: providerContext,
+                }));
+            } finally {
+                call.clear();
             }
-        } else {
-            console.log(`  No meta module for ${providerValue}, using search link directly`);
-        }
+        };
 
-        // Step 5: Get streams using the link
-        const streamModuleCode = await downloadModule(providerValue, 'stream');
-        if (!streamModuleCode) {
-            console.log(`  No stream module for ${providerValue}`);
+        const candidates = await findSearchMatches(providerValue, movieInfo, params, search);
+        if (candidates.length === 0) {
+            logger.debug(`No result on ${providerValue} matches "${movieInfo.title}"`);
             return [];
         }
 
-        const streamModule = executeModule(streamModuleCode);
-        if (!streamModule.getStream) {
-            console.log(`  No getStream function for ${providerValue}`);
-            return [];
-        }
-
-        console.log(`  Getting streams for ${providerValue} from: ${streamLink?.substring(0, 60)}...`);
-        const streamController = new AbortController();
-        const streamTimeout = setTimeout(() => streamController.abort(), config.timeout.streamFetch);
-
-        try {
-            const streams = await streamModule.getStream({
-                link: streamLink,
-                type: params.type,
-                signal: streamController.signal,
-                providerContext: providerContext,
-            });
-            clearTimeout(streamTimeout);
-            console.log(`  Got ${streams?.length || 0} streams from ${providerValue}`);
-            return streams || [];
-        } catch (error) {
-            clearTimeout(streamTimeout);
-            console.log(`  Stream fetch failed for ${providerValue}: ${error.message}`);
-            return [];
+        // Steps 4-5: Try the best matches in order until one yields streams
+        for (const { result, score } of candidates.slice(0, config.search.maxCandidates)) {
+            if (signal?.aborted) break;
+            logger.debug(`Trying "${result.title}" on ${providerValue} (score ${score.toFixed(2)})`);
+            const streams = await getStreamsFromPost(providerValue, result, params, signal);
+            if (streams.length > 0) return streams;
         }
+        return [];
     } catch (error) {
-        console.error(`Error getting streams from ${providerValue} (search):`, error.message);
+        logger.error(`Error getting streams from ${providerValue} (search): ${error.message}`);
         return [];
     }
 }
@@ -334,9 +748,9 @@ async function getStreamsFromProvider(providerValue, params, movieInfo = null) {
     // For search-based providers, we need the movie title
     if (!movieInfo) {
         // Try to get title from Cinemeta
-        movieInfo = await getTitleFromCinemeta(params.imdbId, params.type);
+        movieInfo = await getTitleFromCinemeta(params.imdbId, params.type, params.tmdbId);
         if (!movieInfo) {
-            console.log(`  Could not get title for ${params.imdbId}, skipping search-based providers`);
+            logger.info(`Could not get title for ${params.imdbId}, skipping search-based providers`);
             return [];
         }
     }
@@ -344,82 +758,143 @@ async function getStreamsFromProvider(providerValue, params, movieInfo = null) {
     return getStreamsFromProviderBySearch(providerValue, params, movieInfo);
 }
 
+/**
+ * Adapt a request to the episode numbering a provider expects
+ * Anime sites list each season/cour under its own title ('entry') or count episodes
+ * from the start of the series ('absolute'); everything else uses IMDb numbering.
+ * @returns {object} - { params, movieInfo } for the provider
+ */
+function getProviderRequest(provider, params, movieInfo) {
+    const anime = params.anime;
+    const numbering = provider.episodeNumbering || 'season';
+    if (!anime || numbering === 'season' || params.type !== 'series') {
+        return { params, movieInfo };
+    }
+
+    if (numbering === 'absolute') {
+        if (!anime.absoluteEpisode) return { params, movieInfo };
+        return {
+            params: { ...params, season: 1, episode: anime.absoluteEpisode },
+            movieInfo: movieInfo || { title: anime.title, aliases: anime.aliases, year: anime.year },
+        };
+    }
+
+    return {
+        params: { ...params, season: anime.season, episode: anime.episode },
+        movieInfo: {
+            title: anime.title,
+            aliases: [...anime.aliases, movieInfo?.title].filter(Boolean),
+            year: anime.year,
+        },
+    };
+}
+
 /**
  * Get streams from all enabled providers
+ * Providers run in priority order through a global concurrency pool, each within its
+ * time budget; once the request deadline passes, whatever has finished is returned.
  * @param {object} params - Stream parameters
  * @param {Array} providers - Optional list of providers to use (for user configuration)
  * @returns {Promise<Array>} - Combined array of streams from all providers
  */
 async function getStreamsFromAllProviders(params, providers = null) {
-    const allStreams = [];
-
     // Use provided providers list or fall back to config
-    const providersToUse = providers || config.enabledProviders;
+    const providersToUse = providers || getEnabledProviders();
 
-    // Get movie info first (for search-based providers)
-    console.log('Getting movie title from Cinemeta...');
-    const movieInfo = await getTitleFromCinemeta(params.imdbId, params.type);
+    // Get movie info first (for search-based providers); anime without an IMDb entry use the Kitsu title
+    logger.debug('Getting movie title from Cinemeta...');
+    const anime = params.anime;
+    const movieInfo = (params.imdbId && await getTitleFromCinemeta(params.imdbId, params.type, params.tmdbId))
+        || (anime ? { title: anime.title, aliases: anime.aliases, year: anime.year } : null);
     if (movieInfo) {
-        console.log(`Movie: "${movieInfo.title}" (${movieInfo.year || 'Unknown year'})`);
+        logger.info(`Movie: "${movieInfo.title}" (${movieInfo.year || 'Unknown year'})`);
     } else {
-        console.log('Could not get movie title, only ID-based providers will work');
+        logger.warn('Could not get movie title, only ID-based providers will work');
     }
 
-    // Separate ID-based and search-based providers
-    const idProviders = providersToUse.filter(p => idBasedProviders.includes(p.value));
-    const searchProviders = providersToUse.filter(p => !idBasedProviders.includes(p.value));
-
-    // Fetch from ID-based providers first (faster)
-    console.log(`\nFetching from ${idProviders.length} ID-based providers...`);
-    const idProviderPromises = idProviders.map(async (provider) => {
-        try {
-            console.log(`  ${provider.displayName}...`);
-            const streams = await getStreamsFromProviderById(provider.value, params);
-            return streams.map(stream => ({
-                ...stream,
-                providerName: provider.displayName,
-                providerValue: provider.value,
-            }));
-        } catch (error) {
-            console.error(`  ${provider.displayName} failed:`, error.message);
-            return [];
+    // Search-based providers need the title, ID-based providers an IMDb ID
+    const scheduledProviders = providersToUse.filter(p =>
+        idBasedProviders.includes(p.value) ? params.imdbId : movieInfo
+    );
+    const titleId = params.imdbId || `kitsu:${anime?.kitsuId}`;
+
+    logger.info(`Fetching from ${scheduledProviders.length} providers...`);
+    const tasks = scheduledProviders.map(provider => createProviderTask(
+        provider,
+        getStreamCacheKey(provider.value, titleId, params.season, params.episode),
+        async (signal) => {
+            logger.debug(`${provider.displayName}...`);
+            const request = getProviderRequest(provider, params, movieInfo);
+            return idBasedProviders.includes(provider.value)
+                ? getStreamsFromProviderById(provider.value, request.params, signal)
+                : getStreamsFromProviderBySearch(provider.value, request.params, request.movieInfo, signal);
         }
-    });
+    ));
 
-    // Only fetch from search-based providers if we have movie info
-    let searchProviderPromises = [];
-    if (movieInfo && searchProviders.length > 0) {
-        console.log(`\nFetching from ${searchProviders.length} search-based providers...`);
-
-        // Limit concurrent search requests to avoid overloading
-        const limitedSearchProviders = searchProviders.slice(0, 5); // Only try first 5 for now
+    return runProviderTasks(tasks);
+}
 
-        searchProviderPromises = limitedSearchProviders.map(async (provider) => {
-            try {
-                console.log(`  ${provider.displayName}...`);
-                const streams = await getStreamsFromProviderBySearch(provider.value, params, movieInfo);
+/**
+ * Build the scheduler task for one provider request (see runProviderTasks)
+ * Streams come through the stream cache; new requests go through the provider's circuit
+ * breaker and metrics, and are aborted with the task's signal once its time budget runs out.
+ * @param {object} provider - Provider entry
+ * @param {string} cacheKey - Stream cache key (see getStreamCacheKey)
+ * @param {Function} fetchStreams - (signal) => Promise of the provider's streams
+ * @returns {object} - Task for runScheduled
+ */
+function createProviderTask(provider, cacheKey, fetchStreams) {
+    return {
+        name: provider.displayName,
+        priority: provider.priority,
+        timeBudget: provider.timeBudget || config.scheduler.providerTimeBudget,
+        run: signal => getCachedStreams(cacheKey, () => {
+            // Cached streams are still served while the circuit is open, only new requests are skipped
+            if (!allowProviderRequest(provider.value)) {
+                throw new Error('Skipped after repeated failures (circuit open)');
+            }
+            return trackProviderRequest(provider.value, async () => {
+                const streams = await fetchStreams(signal);
+                // Whatever an aborted provider returned is incomplete, so it isn't cached
+                signal.throwIfAborted();
                 return streams.map(stream => ({
                     ...stream,
                     providerName: provider.displayName,
                     providerValue: provider.value,
                 }));
-            } catch (error) {
-                console.error(`  ${provider.displayName} failed:`, error.message);
-                return [];
-            }
-        });
-    }
+            });
+        }),
+    };
+}
 
-    // Wait for all providers
-    const allPromises = [...idProviderPromises, ...searchProviderPromises];
-    const results = await Promise.allSettled(allPromises);
+/**
+ * Run provider tasks in priority order through the global concurrency pool
+ * Once the request deadline passes, whatever has finished is returned.
+ * @param {Array} tasks - Tasks from createProviderTask
+ * @returns {Promise<Array>} - Streams of every provider that finished in time
+ */
+async function runProviderTasks(tasks) {
+    const allStreams = [];
+    const outcomes = await runScheduled(tasks, {
+        concurrency: config.scheduler.concurrency,
+        deadline: config.scheduler.requestDeadline,
+    });
 
-    for (const result of results) {
-        if (result.status === 'fulfilled' && result.value) {
-            allStreams.push(...result.value);
+    for (const outcome of outcomes) {
+        if (outcome.status === 'fulfilled' && outcome.value) {
+            allStreams.push(...outcome.value);
+        } else if (outcome.status === 'rejected') {
+            logger.warn(`${outcome.name} failed: ${outcome.error?.message}`);
+        } else if (outcome.status === 'timeout') {
+            logger.warn(`${outcome.name} exceeded its time budget`);
         }
     }
 
+    const unfinished = outcomes.filter(o => o.status === 'pending' || o.status === 'skipped');
+    if (unfinished.length > 0) {
+        logger.warn(`Request deadline reached, returning without: ${unfinished.map(o => o.name).join(', ')}`);
+    }
+
     return allStreams;
 }
 
@@ -429,6 +904,14 @@ module.exports = {
     getStreamsFromProviderById,
     getStreamsFromProviderBySearch,
     getTitleFromCinemeta,
+    getProviderMeta,
+    getEpisodeList,
+    getLinkItemEpisodes,
+    getPostStreamLinks,
+    getStreamsFromLink,
+    getStreamsFromLinks,
+    createProviderTask,
+    runProviderTasks,
     downloadModule,
     executeModule,
 };
@@ -0,0 +1,274 @@
+/**
+ * Provider Registry
+ * Builds the enabled provider list from the vega-providers manifest
+ * (the same manifest.json the app's ExtensionManager uses), cached in memory and on disk,
+ * with a local override file for pinning or hiding providers.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('./logger');
+
+// Config page sections, by manifest provider type
+const PROVIDER_SECTIONS = [
+    { title: 'GLOBAL PROVIDERS', types: ['global'] },
+    { title: 'ENGLISH PROVIDERS', types: ['english', 'anime', 'drama'] },
+    { title: 'INDIA/REGIONAL PROVIDERS', types: ['india'] },
+    { title: 'INTERNATIONAL PROVIDERS', types: null }, // Everything else
+];
+
+// Suffix shown after the provider name, by manifest provider type
+const TYPE_LABELS = {
+    anime: 'Anime',
+    drama: 'K-Drama',
+    india: 'India',
+    italy: 'Italy',
+};
+
+// Configure page preset buttons, by manifest provider type
+const TYPE_PRESET_LABELS = {
+    global: 'All global',
+    english: 'All English',
+    anime: 'All anime',
+    drama: 'All K-Drama',
+    india: 'All Indian',
+    italy: 'All Italian',
+};
+
+// Episode numbering providers search with, by manifest provider type (default 'season')
+// 'season': IMDb season/episode; 'entry': each anime season/cour under its own title, episodes
+// from 1; 'absolute': episodes counted from the start of the series
+const TYPE_EPISODE_NUMBERING = {
+    anime: 'entry',
+};
+
+// Audio languages assumed when the manifest doesn't list any, by manifest provider type
+const TYPE_LANGUAGES = {
+    english: ['en'],
+    anime: ['ja', 'en'],
+    drama: ['ko'],
+    india: ['hi'],
+    italy: ['it'],
+};
+
+let providers = null;
+let providersFetchedAt = 0;
+let refreshPromise = null;
+
+/**
+ * Read the local override file
+ * { "pin": [values], "hide": [values], "providers": { value: { displayName, priority, moduleRef, ... } } }
+ */
+async function readOverrides() {
+    try {
+        return JSON.parse(await fs.readFile(config.providerOverridesFile, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Invalid provider override file: ${error.message}`);
+        }
+        return {};
+    }
+}
+
+/**
+ * Fetch the upstream manifest, falling back to the copy on disk
+ * @returns {Promise<Array|null>} - Raw manifest entries
+ */
+async function fetchManifest() {
+    const manifestPath = path.join(config.cache.moduleCacheDir, 'manifest.json');
+
+    if (!config.cache.moduleOfflineMode) {
+        try {
+            const response = await axios.get(`${config.vegaProvidersBaseUrl}/manifest.json`, {
+                timeout: config.timeout.providerDownload,
+                headers: config.headers,
+            });
+
+            if (!Array.isArray(response.data)) {
+                throw new Error('Invalid manifest format');
+            }
+
+            await fs.mkdir(config.cache.moduleCacheDir, { recursive: true });
+            await fs.writeFile(manifestPath, JSON.stringify(response.data));
+            return response.data;
+        } catch (error) {
+            logger.error(`Failed to fetch providers manifest: ${error.message}`);
+        }
+    }
+
+    try {
+        return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert a manifest entry to the provider shape used across the addon
+ */
+function toProvider(item, index) {
+    const type = item.type || 'global';
+    const label = TYPE_LABELS[type];
+    const displayName = item.display_name || item.value;
+    const languages = item.languages || (item.language ? [item.language] : TYPE_LANGUAGES[type] || []);
+
+    return {
+        value: item.value,
+        displayName: displayName,
+        description: label ? `${displayName} (${label})` : `${displayName} streaming`,
+        priority: index + 1,
+        type: type,
+        languages: languages,
+        episodeNumbering: TYPE_EPISODE_NUMBERING[type] || 'season',
+        version: item.version,
+        checksums: item.checksums || null,
+        icon: item.icon || '',
+        disabled: !!item.disabled,
+    };
+}
+
+/**
+ * Bundled provider list with the fields the manifest would provide
+ */
+function getFallbackProviders() {
+    return config.fallbackProviders.map(provider => ({
+        languages: TYPE_LANGUAGES[provider.type] || [],
+        episodeNumbering: TYPE_EPISODE_NUMBERING[provider.type] || 'season',
+        ...provider,
+    }));
+}
+
+/**
+ * Apply the override file: hide providers, pin providers to the top, override fields
+ */
+function applyOverrides(list, overrides) {
+    const hidden = new Set(overrides.hide || []);
+    const pinned = overrides.pin || [];
+
+    return list
+        .filter(provider => !hidden.has(provider.value))
+        .filter(provider => !provider.disabled || pinned.includes(provider.value))
+        .map(provider => ({ ...provider, ...(overrides.providers || {})[provider.value] }))
+        .map(provider => {
+            const pinIndex = pinned.indexOf(provider.value);
+            return pinIndex === -1 ? provider : { ...provider, priority: pinIndex - pinned.length };
+        })
+        .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Load the provider list from the manifest
+ * Falls back to the bundled list when neither the manifest nor its disk copy is available.
+ * @returns {Promise<Array>} - Enabled providers, in priority order
+ */
+async function loadProviders() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const [manifest, overrides] = await Promise.all([fetchManifest(), readOverrides()]);
+            const list = manifest
+                ? manifest.filter(item => item && item.value).map(toProvider)
+                : getFallbackProviders();
+
+            if (!manifest) {
+                logger.info('Using bundled provider list');
+            }
+
+            providers = applyOverrides(list, overrides);
+            providersFetchedAt = Date.now();
+            logger.info(`Loaded ${providers.length} providers`);
+            return providers;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Get the enabled providers
+ * Refreshes the list in the background once the manifest cache has expired.
+ * @returns {Array} - Enabled providers, in priority order
+ */
+function getEnabledProviders() {
+    if (!providers) {
+        return applyOverrides(getFallbackProviders(), {});
+    }
+
+    if (Date.now() - providersFetchedAt > config.cache.manifestCacheExpiry) {
+        loadProviders().catch(error => logger.error(`Failed to refresh providers: ${error.message}`));
+    }
+    return providers;
+}
+
+/**
+ * Find an enabled provider by value
+ */
+function getProvider(providerValue) {
+    return getEnabledProviders().find(p => p.value === providerValue) || null;
+}
+
+/**
+ * Group providers into the configure page sections
+ * @returns {Array} - { title, providers } for every non-empty section
+ */
+function groupProvidersBySection(list) {
+    const claimed = new Set();
+
+    return PROVIDER_SECTIONS.map(section => {
+        const sectionProviders = list.filter(p =>
+            !claimed.has(p.value) && (!section.types || section.types.includes(p.type))
+        );
+        sectionProviders.forEach(p => claimed.add(p.value));
+        return { title: section.title, providers: sectionProviders };
+    }).filter(section => section.providers.length > 0);
+}
+
+/**
+ * Presets enabling every provider of a type, for the types present in the list
+ * @returns {Array} - { label, type }
+ */
+function getTypePresets(list) {
+    const types = new Set(list.map(p => p.type));
+    return Object.entries(TYPE_PRESET_LABELS)
+        .filter(([type]) => types.has(type))
+        .map(([type, label]) => ({ type, label }));
+}
+
+/**
+ * Get the providers enabled by a user configuration, in the user's priority order
+ * Supports the configure page format ({ providers: [values] }) and the older
+ * checkbox format ({ value: 'on' | 'true' }).
+ * @param {object} userConfig - Configuration from the install URL
+ * @returns {Array} - Providers, with priority following the user's order
+ */
+function getUserProviders(userConfig = {}) {
+    const providers = getEnabledProviders();
+
+    if (userConfig.providers) {
+        const selected = Array.isArray(userConfig.providers)
+            ? userConfig.providers
+            : String(userConfig.providers).split(',');
+
+        return selected
+            .map(value => providers.find(p => p.value === value))
+            .filter(Boolean)
+            .map((provider, index) => ({ ...provider, priority: index + 1 }));
+    }
+
+    if (Object.keys(userConfig).length === 0) return providers;
+    return providers.filter(p => {
+        const val = userConfig[p.value];
+        return val === 'true' || val === 'on' || val === true || val === undefined;
+    });
+}
+
+module.exports = {
+    loadProviders,
+    getEnabledProviders,
+    getProvider,
+    getUserProviders,
+    groupProvidersBySection,
+    getTypePresets,
+};
@@ -0,0 +1,241 @@
+/**
+ * Sandbox
+ * Executes downloaded provider modules in a pool of worker threads with memory limits and an
+ * empty environment, each module in a context of its own (see sandboxWorker.js).
+ * Every call into a module has a hard wall-clock timeout; a worker that stops responding
+ * (e.g. a module stuck in a loop) or runs out of memory is replaced, so a broken or
+ * malicious module can fail its own calls but not take down the server.
+ * Modules are compiled once per version (hash of their code) in each worker and reused
+ * until a new version replaces them.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../config');
+const logger = require('./logger');
+
+const WORKER_PATH = path.join(__dirname, 'sandboxWorker.js');
+
+// Worker slots: { worker, pending: Map(id -> { resolve, reject, timer, version }), versions }
+// versions holds the module versions the slot's worker has compiled
+const slots = [];
+
+// Loaded modules per version: version -> Promise<exports>
+const loadedModules = new Map();
+
+// Versions of loaded code, so the same code isn't hashed on every call
+const codeVersions = new Map();
+
+let nextSlot = 0;
+let nextCallId = 1;
+
+/**
+ * Version of a module: the hash of its code
+ */
+function getModuleVersion(code) {
+    if (!codeVersions.has(code)) {
+        codeVersions.set(code, crypto.createHash('sha256').update(code).digest('hex'));
+    }
+    return codeVersions.get(code);
+}
+
+/**
+ * Reject everything a worker was running
+ */
+function failPending(slot, message) {
+    slot.pending.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error(message));
+    });
+    slot.pending.clear();
+}
+
+/**
+ * Start a worker in a slot
+ */
+function spawnWorker(slot) {
+    // No environment for module code to find secrets in; the worker gets the settings it uses
+    const worker = new Worker(WORKER_PATH, {
+        env: {},
+        workerData: { config: { log: config.log, headers: config.headers, timeout: config.timeout } },
+        resourceLimits: {
+            maxOldGenerationSizeMb: config.sandbox.maxMemoryMb,
+            maxYoungGenerationSizeMb: Math.min(32, config.sandbox.maxMemoryMb),
+        },
+    });
+
+    worker.on('message', message => {
+        if (message.type === 'pong') {
+            slot.lastPong = Date.now();
+            return;
+        }
+
+        const call = slot.pending.get(message.id);
+        if (!call) return;
+        slot.pending.delete(message.id);
+        clearTimeout(call.timer);
+
+        if (message.error) {
+            // codeError: the module's own code failed, rather than a request it made or its time limit
+            call.reject(Object.assign(new Error(message.error), { codeError: message.codeError === true }));
+        } else {
+            if (call.version) slot.versions.add(call.version);
+            call.resolve(message.value);
+        }
+    });
+
+    worker.on('error', error => {
+        logger.error(`Provider sandbox worker failed: ${error.message}`);
+    });
+
+    worker.on('exit', () => {
+        if (slot.worker !== worker) return;
+        slot.worker = null;
+        failPending(slot, 'Provider sandbox worker exited');
+    });
+
+    // The pool must not keep the process alive on its own
+    worker.unref();
+    slot.worker = worker;
+    slot.versions = new Set();
+}
+
+/**
+ * Replace a worker that stopped answering
+ * The worker gets a ping after a call times out; if its event loop is blocked it can't answer.
+ */
+function checkWorker(slot) {
+    const worker = slot.worker;
+    if (!worker) return;
+
+    const pingedAt = Date.now();
+    worker.postMessage({ type: 'ping' });
+    setTimeout(() => {
+        if (slot.worker === worker && !(slot.lastPong >= pingedAt)) {
+            logger.error('Provider sandbox worker is unresponsive, restarting it');
+            slot.worker = null;
+            failPending(slot, 'Provider sandbox worker was restarted');
+            worker.terminate();
+        }
+    }, config.sandbox.pingTimeout).unref();
+}
+
+/**
+ * Pick the next worker, starting one if its slot is empty
+ */
+function getSlot() {
+    if (slots.length === 0) {
+        for (let i = 0; i < config.sandbox.workers; i++) {
+            slots.push({ worker: null, pending: new Map(), versions: new Set(), lastPong: 0 });
+        }
+    }
+
+    const slot = slots[nextSlot];
+    nextSlot = (nextSlot + 1) % slots.length;
+    if (!slot.worker) spawnWorker(slot);
+    return slot;
+}
+
+/**
+ * Send a message to a worker and wait for its result
+ * The module code is only sent to workers that haven't compiled that version yet.
+ * @param {object} message - { type: 'load' | 'call', version, code, name, args }
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<any>} - Result posted by the worker
+ */
+function runInWorker(message, signal) {
+    const slot = getSlot();
+    const id = nextCallId++;
+
+    return new Promise((resolve, reject) => {
+        const abort = (reason) => {
+            if (!slot.pending.has(id)) return;
+            slot.pending.delete(id);
+            clearTimeout(call.timer);
+            slot.worker?.postMessage({ type: 'abort', id });
+            reject(new Error(reason));
+        };
+
+        const call = {
+            version: message.version,
+            resolve: (value) => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            reject: (error) => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            },
+            timer: setTimeout(() => {
+                abort(`${message.name || 'Module load'} timed out after ${config.sandbox.callTimeout}ms`);
+                checkWorker(slot);
+            }, config.sandbox.callTimeout),
+        };
+        const onAbort = () => abort('Aborted');
+
+        if (signal?.aborted) {
+            clearTimeout(call.timer);
+            reject(new Error('Aborted'));
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        slot.pending.set(id, call);
+        const code = slot.versions.has(message.version) ? undefined : message.code;
+        slot.worker.postMessage({ ...message, code, id, requestId: logger.getRequestId() });
+    });
+}
+
+/**
+ * Load a provider module in the sandbox
+ * The returned object mirrors the module's exports: data exports are copied, and every
+ * exported function becomes an async stub that runs the function in a worker. The stubs
+ * take the usual arguments; signal and providerContext are supplied inside the worker.
+ * Each version is loaded once, later calls get the same object.
+ * @param {string} code - Module code
+ * @returns {Promise<object>} - Module exports
+ */
+function loadModule(code) {
+    const version = getModuleVersion(code);
+    if (loadedModules.has(version)) {
+        return loadedModules.get(version);
+    }
+
+    const loading = runInWorker({ type: 'load', version, code })
+        .then(({ functions, values }) => {
+            const moduleExports = { ...values };
+            functions.forEach(name => {
+                moduleExports[name] = (args = {}) => {
+                    const { signal, ...data } = args;
+                    delete data.providerContext;
+                    return runInWorker({ type: 'call', version, code, name, args: data }, signal);
+                };
+            });
+            return moduleExports;
+        })
+        .catch(error => {
+            codeVersions.delete(code);
+            loadedModules.delete(version);
+            throw error;
+        });
+
+    loadedModules.set(version, loading);
+    return loading;
+}
+
+/**
+ * Drop a module version that has been replaced, in this thread and in the workers
+ * @param {string} code - Module code
+ */
+function unloadModule(code) {
+    const version = getModuleVersion(code);
+    codeVersions.delete(code);
+    loadedModules.delete(version);
+    slots.forEach(slot => {
+        slot.versions.delete(version);
+        slot.worker?.postMessage({ type: 'unload', version });
+    });
+}
+
+module.exports = { loadModule, unloadModule, getModuleVersion };
@@ -0,0 +1,434 @@
+/**
+ * Sandbox Realm
+ * Code that runs inside the vm contexts of sandboxWorker.js. These functions are compiled
+ * from their source in each context, so they can't use anything from outside themselves:
+ * only the context's own built-ins and their arguments.
+ * Provider code must never get hold of an object or function from the worker itself (its
+ * constructor leads to the worker's Function, and from there to process). Everything it
+ * gets is created in its own context; the worker is reached through a single hostCall
+ * function that takes and returns only strings, numbers and booleans.
+ */
+
+/* eslint-env es2020 */
+
+/**
+ * Set up the globals and providerContext of a module context, before the module's code runs
+ * Asynchronous host operations answer through deliver() with { value } or { error } as JSON.
+ * @param {Function} hostCall - (operation, ...args) => string|boolean, see runHostCall in sandboxWorker.js
+ * @param {object} cheerio - cheerio, loaded in the library context (see loadLibrary in sandboxWorker.js)
+ * @param {string} commonHeadersJson - Default request headers
+ * @returns {object} - Controls for the worker: describe, invoke, abort, deliver, fireTimer, cancelTimer
+ */
+function createRealm(hostCall, cheerio, commonHeadersJson) {
+    'use strict';
+
+    const { stringify, parse } = JSON;
+
+    // Host operations waiting for their answer: id -> { resolve, reject }
+    const pending = new Map();
+
+    // Timers: id -> { callback, args, repeat }
+    const timers = new Map();
+
+    // Abort functions of the calls in progress: call id -> abort
+    const aborts = new Map();
+
+    let nextId = 0;
+
+    const describeError = (error) => {
+        try {
+            return String(error?.message ?? error);
+        } catch (e) {
+            return 'Unknown error';
+        }
+    };
+
+    // Errors of the module's own code (a bug, not a failed request): errors from host
+    // operations are plain Errors created by deliver(), whatever name they carry
+    const isCodeError = (error) => {
+        try {
+            return error instanceof TypeError || error instanceof ReferenceError
+                || error instanceof SyntaxError || error instanceof RangeError;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    // Run a host operation that answers later through deliver()
+    const request = (operation, ...args) => new Promise((resolve, reject) => {
+        const id = ++nextId;
+        pending.set(id, { resolve, reject });
+        if (!hostCall(operation, id, ...args)) {
+            pending.delete(id);
+            reject(new Error(`${operation} is not available`));
+        }
+    });
+
+    // Buffers are Uint8Arrays of this context; encodings are converted by the host as strings
+    const toBinary = (bytes) => {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return binary;
+    };
+
+    class SandboxBuffer extends Uint8Array {
+        toString(encoding = 'utf8') {
+            return hostCall('convert', toBinary(this), 'latin1', String(encoding));
+        }
+    }
+
+    const fromBinary = (binary) => {
+        const bytes = new SandboxBuffer(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    const convert = (value, from, to) => hostCall('convert', String(value), String(from), to);
+
+    const BufferShim = Object.freeze({
+        from: (value, encoding = 'utf8') => {
+            if (typeof value === 'string') return fromBinary(convert(value, encoding, 'latin1'));
+            if (value instanceof ArrayBuffer) return new SandboxBuffer(value.slice(0));
+            return SandboxBuffer.from(value);
+        },
+        alloc: (size) => new SandboxBuffer(size),
+        concat: (list) => {
+            const result = new SandboxBuffer(list.reduce((total, bytes) => total + bytes.length, 0));
+            let offset = 0;
+            list.forEach(bytes => {
+                result.set(bytes, offset);
+                offset += bytes.length;
+            });
+            return result;
+        },
+        isBuffer: (value) => value instanceof SandboxBuffer,
+        byteLength: (value, encoding = 'utf8') =>
+            typeof value === 'string' ? convert(value, encoding, 'latin1').length : value.byteLength,
+    });
+
+    // Provider output goes through the worker's logger
+    const format = (args) => args.map(arg => {
+        try {
+            if (typeof arg === 'string') return arg;
+            if (arg instanceof Error) return String(arg.stack || arg);
+            return stringify(arg) ?? String(arg);
+        } catch (error) {
+            return '[unprintable]';
+        }
+    }).join(' ');
+
+    const log = (level) => (...args) => {
+        hostCall('log', level, format(args));
+    };
+
+    // The host keeps the real timers and clears them when the call that set them finishes
+    const setTimer = (repeat) => (callback, delay, ...args) => {
+        const id = ++nextId;
+        timers.set(id, { callback, args, repeat });
+        if (!hostCall('setTimer', id, Number(delay) || 0, repeat)) timers.delete(id);
+        return id;
+    };
+
+    const clearTimer = (id) => {
+        if (timers.delete(id)) hostCall('clearTimer', id);
+    };
+
+    // Stand-in for AbortSignal; the host aborts its own requests with the call's real signal
+    const createAbortSignal = () => {
+        const listeners = new Set();
+        const signal = {
+            aborted: false,
+            reason: undefined,
+            onabort: null,
+            addEventListener: (type, listener) => {
+                if (type === 'abort') listeners.add(listener);
+            },
+            removeEventListener: (type, listener) => {
+                listeners.delete(listener);
+            },
+            throwIfAborted: () => {
+                if (signal.aborted) throw signal.reason;
+            },
+        };
+
+        const abort = () => {
+            if (signal.aborted) return;
+            signal.aborted = true;
+            signal.reason = Object.assign(new Error('Aborted'), { name: 'AbortError' });
+            [signal.onabort, ...listeners].forEach(listener => {
+                try {
+                    if (typeof listener === 'function') listener.call(signal, { type: 'abort', target: signal });
+                } catch (error) {
+                    // A failing listener doesn't stop the others
+                }
+            });
+        };
+
+        return { signal, abort };
+    };
+
+    const createResponse = ({ url, status, statusText, redirected, headers, body }) => {
+        const headerMap = new Map(headers);
+        const text = async () => convert(body, 'base64', 'utf8');
+
+        return {
+            url,
+            status,
+            statusText,
+            redirected,
+            ok: status >= 200 && status < 300,
+            headers: {
+                get: (name) => headerMap.get(String(name).toLowerCase()) ?? null,
+                has: (name) => headerMap.has(String(name).toLowerCase()),
+                forEach: (callback) => headerMap.forEach((value, name) => callback(value, name)),
+                entries: () => headerMap.entries(),
+                [Symbol.iterator]: () => headerMap.entries(),
+            },
+            text,
+            json: async () => parse(await text()),
+            arrayBuffer: async () => fromBinary(convert(body, 'base64', 'latin1')).buffer,
+        };
+    };
+
+    const sandboxFetch = async (url, options = {}) => {
+        const { method, headers, body, redirect } = options || {};
+        return createResponse(await request('fetch', stringify({
+            url: String(url),
+            method,
+            headers,
+            body: body === undefined || body === null ? undefined : String(body),
+            redirect,
+        })));
+    };
+
+    // axios with the usual call styles; the host sends the request and the status is checked here
+    const createAxios = (defaults = {}) => {
+        const instance = (configOrUrl, config) => (typeof configOrUrl === 'string'
+            ? instance.request({ ...config, url: configOrUrl })
+            : instance.request(configOrUrl));
+
+        instance.defaults = { ...defaults, headers: { ...defaults.headers } };
+
+        instance.request = async (config = {}) => {
+            const merged = { ...instance.defaults, ...config, headers: { ...instance.defaults.headers, ...config.headers } };
+            const { validateStatus = (status) => status >= 200 && status < 300 } = merged;
+            const result = await request('axios', stringify(merged));
+
+            const response = {
+                data: result.binary ? fromBinary(convert(result.data, 'base64', 'latin1')) : result.data,
+                status: result.status,
+                statusText: result.statusText,
+                headers: result.headers,
+                config: merged,
+                request: { responseURL: result.url, res: { responseUrl: result.url } },
+            };
+
+            if (validateStatus && !validateStatus(response.status)) {
+                throw Object.assign(new Error(`Request failed with status code ${response.status}`), {
+                    name: 'AxiosError',
+                    isAxiosError: true,
+                    code: response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+                    config: merged,
+                    response,
+                });
+            }
+            return response;
+        };
+
+        ['get', 'delete', 'head', 'options'].forEach(method => {
+            instance[method] = (url, config) => instance.request({ ...config, method, url });
+        });
+        ['post', 'put', 'patch'].forEach(method => {
+            instance[method] = (url, data, config) => instance.request({ ...config, method, url, data });
+        });
+
+        instance.create = (config = {}) => createAxios({
+            ...instance.defaults,
+            ...config,
+            headers: { ...instance.defaults.headers, ...config.headers },
+        });
+        instance.isAxiosError = (error) => !!error?.isAxiosError;
+        instance.isCancel = (error) => error?.name === 'CanceledError' || error?.name === 'AbortError';
+        instance.all = (promises) => Promise.all(promises);
+        return instance;
+    };
+
+    const providerContext = {
+        axios: createAxios(),
+        cheerio,
+        Crypto: {
+            digestStringAsync: (algorithm, data) => request('digest', String(algorithm), String(data)),
+            CryptoDigestAlgorithm: {
+                SHA256: 'SHA-256',
+                SHA512: 'SHA-512',
+                MD5: 'MD5',
+            },
+        },
+        getBaseUrl: (providerValue) => request('getBaseUrl', String(providerValue)),
+        commonHeaders: parse(commonHeadersJson),
+        // Extractors use the call's abort signal on the host, the signal argument isn't needed
+        extractors: {
+            hubcloudExtracter: (link) => request('extractor', 'hubcloudExtracter', stringify(link)),
+            gofileExtracter: (id) => request('extractor', 'gofileExtracter', stringify(id)),
+            superVideoExtractor: (data) => request('extractor', 'superVideoExtractor', stringify(data)),
+            gdFlixExtracter: (link) => request('extractor', 'gdFlixExtracter', stringify(link)),
+        },
+    };
+
+    const moduleObject = { exports: {} };
+    Object.assign(globalThis, {
+        module: moduleObject,
+        exports: moduleObject.exports,
+        require: () => ({}),
+        console: {
+            log: log('debug'),
+            info: log('debug'),
+            debug: log('debug'),
+            warn: log('warn'),
+            error: log('error'),
+        },
+        setTimeout: setTimer(false),
+        clearTimeout: clearTimer,
+        setInterval: setTimer(true),
+        clearInterval: clearTimer,
+        fetch: sandboxFetch,
+        btoa: (str) => convert(str, 'utf8', 'base64'),
+        atob: (str) => convert(str, 'base64', 'utf8'),
+        process: { env: {} },
+        Buffer: BufferShim,
+    });
+
+    const getExports = () => globalThis.module?.exports || globalThis.exports || {};
+
+    return Object.freeze({
+        // Function names and data exports (e.g. catalog, genres) of the module, as JSON
+        describe: () => {
+            const functions = [];
+            const values = {};
+            Object.entries(getExports()).forEach(([key, exported]) => {
+                if (typeof exported === 'function') {
+                    functions.push(key);
+                    return;
+                }
+                try {
+                    values[key] = parse(stringify(exported) ?? 'null');
+                } catch (error) {
+                    // Values that can't be serialized are left out
+                }
+            });
+            return stringify({ functions, values });
+        },
+
+        // Call a module function; the result is reported with hostCall('result', ...)
+        invoke: (callId, name, argsJson) => {
+            const { signal, abort } = createAbortSignal();
+            aborts.set(callId, abort);
+
+            const finish = (json, error, codeError) => {
+                aborts.delete(callId);
+                hostCall('result', callId, json, error, codeError);
+            };
+
+            new Promise(resolve => {
+                const fn = getExports()[name];
+                if (typeof fn !== 'function') throw new Error(`Module has no function ${name}`);
+                resolve(fn({ ...parse(argsJson), signal, providerContext }));
+            })
+                .then(value => stringify(value))
+                .then(json => finish(json, undefined), error => finish(undefined, describeError(error), isCodeError(error)));
+        },
+
+        abort: (callId) => {
+            const abort = aborts.get(callId);
+            aborts.delete(callId);
+            if (abort) abort();
+        },
+
+        deliver: (id, json) => {
+            const waiting = pending.get(id);
+            if (!waiting) return;
+            pending.delete(id);
+
+            const { value, error } = parse(json);
+            if (error) waiting.reject(Object.assign(new Error(error.message), error));
+            else waiting.resolve(value);
+        },
+
+        fireTimer: (id) => {
+            const timer = timers.get(id);
+            if (!timer) return;
+            if (!timer.repeat) timers.delete(id);
+            if (typeof timer.callback === 'function') timer.callback(...timer.args);
+        },
+
+        cancelTimer: (id) => {
+            timers.delete(id);
+        },
+    });
+}
+
+/**
+ * Evaluate a bundle of CommonJS modules, the first one being the entry point
+ * @param {Array<Function>} factories - (exports, require, module) => void per module
+ * @param {Array<object>} dependencies - Per module: require() argument -> module index
+ * @returns {object} - { main: exports of the entry point, all: exports of every module }
+ */
+function requireBundle(factories, dependencies) {
+    'use strict';
+
+    const cache = [];
+    const load = (id) => {
+        if (cache[id]) return cache[id].exports;
+
+        const module = { exports: {} };
+        cache[id] = module;
+        factories[id].call(module.exports, module.exports, (name) => load(dependencies[id][name]), module);
+        return module.exports;
+    };
+
+    const main = load(0);
+    return { main, all: cache.map(module => module.exports) };
+}
+
+/**
+ * Freeze a context's built-ins and everything reachable from a bundle's exports
+ * The globals become read-only too, so code sharing the context can't change it for the others.
+ * Typed arrays can't be frozen and stay as they are.
+ * @param {object} bundle - Result of requireBundle
+ */
+function hardenRealm(bundle) {
+    'use strict';
+
+    const { defineProperty, getOwnPropertyNames, getOwnPropertyDescriptor, getPrototypeOf, freeze } = Object;
+    const { ownKeys } = Reflect;
+    const isView = ArrayBuffer.isView;
+    const realmGlobal = globalThis;
+    const seen = new WeakSet([realmGlobal]);
+    const stack = [bundle];
+
+    getOwnPropertyNames(realmGlobal).forEach(name => {
+        const value = realmGlobal[name];
+        stack.push(value);
+        defineProperty(realmGlobal, name, { value, writable: false, configurable: false });
+    });
+
+    while (stack.length > 0) {
+        const value = stack.pop();
+        if ((typeof value !== 'object' && typeof value !== 'function') || value === null || seen.has(value)) continue;
+
+        seen.add(value);
+        if (!isView(value)) freeze(value);
+        stack.push(getPrototypeOf(value));
+        ownKeys(value).forEach(key => {
+            const descriptor = getOwnPropertyDescriptor(value, key);
+            if ('value' in descriptor) stack.push(descriptor.value);
+            else stack.push(descriptor.get, descriptor.set);
+        });
+    }
+}
+
+module.exports = { createRealm, requireBundle, hardenRealm };
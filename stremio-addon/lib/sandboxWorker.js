@@ -0,0 +1,344 @@
+/**
+ * Sandbox Worker
+ * Runs provider module code inside a worker thread (see sandbox.js). Each module version
+ * is compiled and evaluated once in its own vm context, whose globals and providerContext
+ * are built inside the context (see sandboxRealm.js): the module can only ask the worker
+ * for things through calls that pass strings, never reach the worker's own objects.
+ * Timers and requests started during a call are tied to that call and cleaned up or
+ * aborted when it finishes. Log lines keep the ID of the request the call was made for.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Buffer } = require('buffer');
+const { parentPort, workerData } = require('worker_threads');
+const { AsyncLocalStorage } = require('async_hooks');
+const vm = require('vm');
+const axios = require('axios');
+const config = require('../config');
+
+// The worker runs with an empty environment, the settings it needs come from the main thread
+Object.assign(config, workerData?.config);
+
+const { providerContext } = require('./providerContext');
+const { createRealm, requireBundle, hardenRealm } = require('./sandboxRealm');
+const logger = require('./logger');
+
+// cheerio's entry point that parses with parse5, without its stream and network helpers
+const CHEERIO_ENTRY = path.join(path.dirname(require.resolve('cheerio')), 'load-parse.js');
+
+const REQUIRE_PATTERN = /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+// axios options modules may set (no agents, proxies or sockets)
+const AXIOS_OPTIONS = [
+    'url', 'method', 'baseURL', 'headers', 'params', 'data', 'timeout', 'responseType', 'responseEncoding',
+    'maxRedirects', 'maxContentLength', 'maxBodyLength', 'auth', 'decompress',
+];
+
+// Host operations that answer later through the realm's deliver()
+const ASYNC_OPERATIONS = ['fetch', 'axios', 'extractor', 'getBaseUrl', 'digest'];
+
+// Evaluated modules per version: version -> { control }
+const modules = new Map();
+
+// Calls in progress: id -> { controller, timers: Map(timer id -> Timeout), realm, finished }
+const calls = new Map();
+
+// The call the current code runs for, followed across timers and promises
+const callStorage = new AsyncLocalStorage();
+
+/**
+ * Message of an error, which may come from module code
+ */
+function describeError(error) {
+    try {
+        return String(error?.message ?? error);
+    } catch (e) {
+        return 'Unknown error';
+    }
+}
+
+/**
+ * Load a pure JavaScript package into a context of its own and freeze it
+ * All modules in the worker share this copy, so none of them can change it for the others.
+ * @param {string} entryPath - Entry point file
+ * @returns {object} - The entry point's exports
+ */
+function loadLibrary(entryPath) {
+    const index = new Map();
+    const sources = [];
+    const dependencies = [];
+
+    const visit = (file) => {
+        if (index.has(file)) return index.get(file);
+
+        const id = sources.length;
+        const source = fs.readFileSync(file, 'utf8');
+        index.set(file, id);
+        sources.push(source);
+        dependencies.push({});
+
+        for (const [, name] of source.matchAll(REQUIRE_PATTERN)) {
+            const resolved = require.resolve(name, { paths: [path.dirname(file)] });
+            if (!path.isAbsolute(resolved)) throw new Error(`${file} requires Node's ${name}`);
+            dependencies[id][name] = visit(resolved);
+        }
+        return id;
+    };
+    visit(entryPath);
+
+    const factories = sources.map(source => `function (exports, require, module) {\n${source}\n}`);
+    const context = vm.createContext(Object.create(null));
+    const bundle = new vm.Script(`(${requireBundle})([${factories.join(',\n')}], ${JSON.stringify(dependencies)})`, {
+        filename: path.basename(entryPath),
+    }).runInContext(context);
+
+    vm.runInContext(`(${hardenRealm})`, context)(bundle);
+    return bundle.main;
+}
+
+const cheerio = loadLibrary(CHEERIO_ENTRY);
+
+/**
+ * Send a request for module code (an asynchronous host operation)
+ * @returns {Promise<*>} - JSON-serializable result
+ */
+async function runOperation(operation, args, signal) {
+    switch (operation) {
+        case 'fetch': {
+            const { url, method, headers, body, redirect } = JSON.parse(args[0]);
+            const response = await fetch(String(url), { method, headers, body, redirect, signal });
+            return {
+                url: response.url,
+                status: response.status,
+                statusText: response.statusText,
+                redirected: response.redirected,
+                headers: [...response.headers.entries()],
+                body: Buffer.from(await response.arrayBuffer()).toString('base64'),
+            };
+        }
+        case 'axios': {
+            const requested = JSON.parse(args[0]);
+            const options = {};
+            AXIOS_OPTIONS.forEach(key => {
+                if (requested[key] !== undefined) options[key] = requested[key];
+            });
+
+            const binary = options.responseType === 'arraybuffer';
+            const response = await axios.request({
+                ...options,
+                responseType: binary ? 'arraybuffer' : (options.responseType === 'text' ? 'text' : 'json'),
+                signal,
+                validateStatus: () => true,
+            });
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: { ...response.headers },
+                data: binary ? Buffer.from(response.data).toString('base64') : response.data,
+                binary,
+                url: response.request?.res?.responseUrl || options.url,
+            };
+        }
+        case 'extractor': {
+            const [name, argJson] = args;
+            if (!Object.hasOwn(providerContext.extractors, name)) throw new Error(`Unknown extractor ${name}`);
+            return providerContext.extractors[name](JSON.parse(argJson), signal);
+        }
+        case 'getBaseUrl':
+            return providerContext.getBaseUrl(args[0]);
+        case 'digest':
+            return providerContext.Crypto.digestStringAsync(args[0], args[1]);
+        default:
+            throw new Error(`Unknown operation ${operation}`);
+    }
+}
+
+/**
+ * Start a timer for module code
+ * Timers only live as long as the call that set them; once it finished, none are started.
+ */
+function startTimer(realm, call, id, delay, repeat) {
+    if (!call || call.finished || call.realm !== realm) return false;
+
+    const fire = () => {
+        if (!repeat) call.timers.delete(id);
+        try {
+            realm.control.fireTimer(id);
+        } catch (error) {
+            logger.warn(`Provider timer failed: ${describeError(error)}`);
+        }
+    };
+    call.timers.set(id, repeat ? setInterval(fire, delay) : setTimeout(fire, delay));
+    return true;
+}
+
+/**
+ * Handle a call from module code (hostCall in sandboxRealm.js)
+ * Arguments come from the module, so only strings, numbers and booleans are used, and
+ * only those are returned.
+ */
+function runHostCall(realm, operation, args) {
+    const call = callStorage.getStore();
+
+    switch (operation) {
+        case 'log': {
+            const [level, message] = args;
+            if (['debug', 'warn', 'error'].includes(level) && typeof message === 'string') {
+                logger[level](message);
+            }
+            return true;
+        }
+        case 'convert': {
+            const [value, from, to] = args;
+            if (typeof value !== 'string' || !Buffer.isEncoding(from) || !Buffer.isEncoding(to)) return '';
+            return Buffer.from(value, from).toString(to);
+        }
+        case 'setTimer': {
+            const [id, delay, repeat] = args;
+            if (typeof id !== 'number' || typeof delay !== 'number') return false;
+            return startTimer(realm, call, id, delay, repeat === true);
+        }
+        case 'clearTimer': {
+            const timer = call?.timers.get(args[0]);
+            if (timer) {
+                clearTimeout(timer);
+                call.timers.delete(args[0]);
+            }
+            return true;
+        }
+        case 'result': {
+            const [id, json, error, codeError] = args;
+            const resultCall = calls.get(id);
+            if (!resultCall || resultCall.realm !== realm) return false;
+
+            parentPort.postMessage(typeof error === 'string'
+                ? { type: 'result', id, error, codeError: codeError === true }
+                : { type: 'result', id, value: typeof json === 'string' ? JSON.parse(json) : undefined });
+            finishCall(id);
+            return true;
+        }
+        default: {
+            const [requestId, ...rest] = args;
+            if (!ASYNC_OPERATIONS.includes(operation) || typeof requestId !== 'number') return false;
+            if (rest.some(arg => typeof arg !== 'string')) return false;
+
+            const result = call && !call.finished && call.realm === realm
+                ? runOperation(operation, rest, call.controller.signal)
+                : Promise.reject(new Error('The call has finished'));
+
+            result
+                .then(
+                    value => JSON.stringify({ value }),
+                    error => JSON.stringify({
+                        error: { message: describeError(error), name: error?.name, code: error?.code, isAxiosError: !!error?.isAxiosError },
+                    })
+                )
+                .then(json => realm.control.deliver(requestId, json))
+                .catch(error => logger.warn(`Sandbox ${operation} answer failed: ${describeError(error)}`));
+            return true;
+        }
+    }
+}
+
+/**
+ * Get the realm of a module version, compiling and evaluating its code the first time
+ * @returns {object} - { control } (see createRealm)
+ */
+function getModule(version, code) {
+    if (modules.has(version)) return modules.get(version);
+    if (code === undefined) throw new Error(`Module ${version} is not loaded`);
+
+    // A global without a prototype, so the context has no way back to this realm
+    const context = vm.createContext(Object.create(null));
+    const realm = { control: null };
+    const hostCall = (operation, ...args) => {
+        try {
+            return runHostCall(realm, operation, args);
+        } catch (error) {
+            logger.debug(`Sandbox ${operation} failed: ${describeError(error)}`);
+            return false;
+        }
+    };
+    realm.control = vm.runInContext(`(${createRealm})`, context)(hostCall, cheerio, JSON.stringify(config.headers));
+
+    // Only covers synchronous evaluation; async calls are bounded by the main thread
+    const script = new vm.Script(code, { filename: `${version}.js` });
+    script.runInContext(context, { timeout: 10000 });
+
+    modules.set(version, realm);
+    return realm;
+}
+
+/**
+ * Stop everything a call started
+ */
+function finishCall(id) {
+    const call = calls.get(id);
+    if (!call) return;
+
+    call.finished = true;
+    call.timers.forEach((timer, timerId) => {
+        clearTimeout(timer);
+        call.realm?.control.cancelTimer(timerId);
+    });
+    call.timers.clear();
+    calls.delete(id);
+}
+
+/**
+ * Run a load or call message
+ * Loading describes the module: its function names and data exports (e.g. catalog, genres).
+ * Calls report their result through hostCall('result', ...). Errors here come from compiling
+ * or evaluating the module, so they are the code's own (codeError).
+ */
+function runCall(message, call) {
+    try {
+        call.realm = getModule(message.version, message.code);
+
+        if (message.type === 'load') {
+            const description = call.realm.control.describe();
+            parentPort.postMessage({ type: 'result', id: message.id, value: JSON.parse(description) });
+            finishCall(message.id);
+            return;
+        }
+
+        call.realm.control.invoke(message.id, String(message.name), JSON.stringify(message.args || {}));
+    } catch (error) {
+        if (calls.has(message.id)) {
+            parentPort.postMessage({ type: 'result', id: message.id, error: describeError(error), codeError: true });
+        }
+        finishCall(message.id);
+    }
+}
+
+parentPort.on('message', message => {
+    switch (message.type) {
+        case 'ping':
+            parentPort.postMessage({ type: 'pong' });
+            break;
+        case 'unload':
+            modules.delete(message.version);
+            break;
+        case 'abort': {
+            const call = calls.get(message.id);
+            call?.controller.abort();
+            try {
+                call?.realm?.control.abort(message.id);
+            } catch (error) {
+                logger.debug(`Abort handler failed: ${describeError(error)}`);
+            }
+            finishCall(message.id);
+            break;
+        }
+        default: {
+            const call = { controller: new AbortController(), timers: new Map(), realm: null, finished: false };
+            calls.set(message.id, call);
+            logger.runWithRequestId(message.requestId, () => {
+                callStorage.run(call, () => runCall(message, call));
+            });
+        }
+    }
+});
@@ -0,0 +1,99 @@
+/**
+ * Scheduler
+ * Runs provider tasks through a concurrency pool with per-task time budgets
+ * and an overall deadline. A task over its budget is aborted through its signal and
+ * gives its slot to the next task.
+ */
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Settle a task within its time budget
+ * The task gets an abort signal that fires once its budget is spent (or the caller aborts it),
+ * its result is no longer awaited from then on.
+ * @returns {object} - { outcome: Promise of the outcome within the budget, controller }
+ */
+function runWithBudget(task) {
+    const controller = new AbortController();
+    let timer;
+    const budget = new Promise(resolve => {
+        timer = setTimeout(() => {
+            controller.abort(new Error(`${task.name} exceeded its time budget`));
+            resolve({ status: 'timeout' });
+        }, task.timeBudget);
+    });
+
+    const settled = Promise.resolve()
+        .then(() => task.run(controller.signal))
+        .then(value => ({ status: 'fulfilled', value }), error => ({ status: 'rejected', error }));
+
+    const outcome = Promise.race([settled, budget]).finally(() => clearTimeout(timer));
+    return { outcome, controller };
+}
+
+/**
+ * Run tasks in priority order (lowest `priority` first)
+ * @param {Array} tasks - { name, priority, timeBudget, run: (signal) => Promise }
+ * @param {object} options - { concurrency, deadline } (deadline in milliseconds from now)
+ * @returns {Promise<Array>} - One outcome per task: { name, status, value?, error?, duration }
+ *   status is 'fulfilled', 'rejected', 'timeout', 'pending' (still running at the deadline)
+ *   or 'skipped' (never started before the deadline)
+ */
+async function runScheduled(tasks, { concurrency, deadline }) {
+    const queue = [...tasks].sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity));
+    const outcomes = new Map();
+    let nextIndex = 0;
+    let expired = false;
+
+    const running = new Set();
+
+    const worker = async () => {
+        while (!expired && nextIndex < queue.length) {
+            const task = queue[nextIndex++];
+            const startedAt = Date.now();
+            outcomes.set(task, { name: task.name, status: 'pending' });
+
+            const run = runWithBudget(task);
+            running.add(run.controller);
+            const outcome = await run.outcome;
+            running.delete(run.controller);
+            if (!expired) {
+                outcomes.set(task, { name: task.name, ...outcome, duration: Date.now() - startedAt });
+            }
+        }
+    };
+
+    let deadlineTimer;
+    const deadlineReached = new Promise(resolve => {
+        deadlineTimer = setTimeout(resolve, deadline);
+    });
+
+    const workers = Array.from({ length: Math.min(concurrency, queue.length) }, worker);
+    await Promise.race([Promise.all(workers), deadlineReached]);
+    clearTimeout(deadlineTimer);
+    expired = true;
+
+    // Tasks still running at the deadline won't be used either
+    running.forEach(controller => controller.abort(new Error('Request deadline reached')));
+
+    return queue.map(task => outcomes.get(task) || { name: task.name, status: 'skipped' });
+}
+
+module.exports = { mapWithConcurrency, runScheduled };
@@ -0,0 +1,122 @@
+/**
+ * Search Strategy
+ * Searches a provider with a sequence of queries (title, title + year, alternate titles,
+ * shortened title) and extra result pages, until a confident match turns up.
+ * Regional providers often list content under a localized or original-language title.
+ */
+
+const config = require('../config');
+const { rankSearchResults } = require('./titleMatcher');
+const { setBounded } = require('./boundedMap');
+const logger = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+
+// Search results per provider, query and page
+const searchCache = new Map();
+
+/**
+ * Drop the last subtitle of a title
+ * e.g. "Mission: Impossible - Dead Reckoning" -> "Mission: Impossible"; titles that would get
+ * too short to search for ("Dune: Part Two" -> "Dune") give null.
+ * @returns {string|null}
+ */
+function getShortTitle(title) {
+    const separators = [...title.matchAll(/\s*[:–—]\s*|\s+-\s+/g)];
+    if (separators.length === 0) return null;
+
+    const shortTitle = title.slice(0, separators[separators.length - 1].index).trim();
+    return shortTitle.length >= config.search.minShortTitleLength ? shortTitle : null;
+}
+
+/**
+ * Build the queries for a title, in the configured strategy order
+ * @param {object} movieInfo - { title, year, originalTitle, aliases }
+ * @returns {Array<string>} - Distinct queries
+ */
+function buildSearchQueries(movieInfo) {
+    const title = (movieInfo.title || '').trim();
+    const strategies = {
+        title: () => [title],
+        titleYear: () => (movieInfo.year ? [`${title} ${movieInfo.year}`] : []),
+        aliases: () => [movieInfo.originalTitle, ...(movieInfo.aliases || [])],
+        shortTitle: () => [getShortTitle(title)],
+    };
+
+    const seen = new Set();
+    return config.search.queryStrategies
+        .flatMap(strategy => (strategies[strategy] ? strategies[strategy]() : []))
+        .map(query => (query || '').trim())
+        .filter(query => {
+            const key = query.toLowerCase();
+            if (!query || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Run a search through the cache
+ * Failed searches aren't cached, so the next request tries again.
+ */
+async function cachedSearch(providerValue, query, page, search) {
+    const key = `${providerValue}:${query.toLowerCase()}:${page}`;
+    const entry = searchCache.get(key);
+    if (entry && Date.now() - entry.cachedAt < config.cache.searchCacheExpiry) {
+        recordCacheLookup('search', 'hit');
+        return entry.results;
+    }
+    recordCacheLookup('search', 'miss');
+
+    const results = (await search(query, page)) || [];
+    setBounded(searchCache, key, { results, cachedAt: Date.now() }, config.cache.searchCacheMaxEntries);
+    return results;
+}
+
+/**
+ * Search a provider until a confident match is found
+ * @param {string} providerValue - Provider
+ * @param {object} movieInfo - Requested title ({ title, year, originalTitle, aliases })
+ * @param {object} params - Stream parameters ({ type, season })
+ * @param {Function} search - (query, page) => search results from the provider's getSearchPosts
+ * @returns {Promise<Array>} - Matching results as { result, score }, best first
+ */
+async function findSearchMatches(providerValue, movieInfo, params, search) {
+    const results = new Map(); // link -> result, across queries and pages
+
+    for (const query of buildSearchQueries(movieInfo)) {
+        for (let page = 1; page <= config.search.maxPages; page++) {
+            let pageResults;
+            try {
+                pageResults = await cachedSearch(providerValue, query, page, search);
+            } catch (error) {
+                logger.warn(`Search "${query}" failed for ${providerValue}: ${error.message}`);
+                break;
+            }
+
+            const newResults = pageResults.filter(result => result && result.link && !results.has(result.link));
+            // Providers that ignore the page number return the same results again
+            if (newResults.length === 0) break;
+
+            newResults.forEach(result => results.set(result.link, result));
+            logger.debug(`Found ${newResults.length} results for "${query}" (page ${page}) on ${providerValue}`);
+
+            const matches = rankSearchResults([...results.values()], movieInfo, params);
+            if (matches.length > 0 && matches[0].score >= config.search.confidentScore) {
+                return matches;
+            }
+        }
+    }
+
+    return rankSearchResults([...results.values()], movieInfo, params);
+}
+
+/**
+ * Drop all cached searches of a provider (e.g. after its local module changed)
+ */
+function clearCachedSearches(providerValue) {
+    for (const key of searchCache.keys()) {
+        if (key.startsWith(`${providerValue}:`)) searchCache.delete(key);
+    }
+}
+
+module.exports = { findSearchMatches, clearCachedSearches };
@@ -0,0 +1,179 @@
+/**
+ * Status Page
+ * Per-provider status for telling a provider that is down from one whose domain moved or whose
+ * module broke: base URL, loaded module versions, last success and failure, latency and circuit state
+ */
+
+const { getEnabledProviders } = require('./providerRegistry');
+const { getBaseUrl } = require('./providerContext');
+const { getModuleRecords, shortHash } = require('./moduleVersions');
+const { getProviderHealth } = require('./providerHealth');
+const { BASE_STYLESHEET, escapeHtml } = require('./htmlPage');
+
+const STYLESHEET = `${BASE_STYLESHEET}
+main { max-width: 1100px; }
+a { color: #a78bfa; }
+table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 14px; }
+th {
+    text-align: left;
+    font-size: 12px;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+    color: #a78bfa;
+    padding: 8px;
+}
+td { background: #1a1a22; padding: 8px; vertical-align: top; border-top: 2px solid #0f0f14; }
+td small { display: block; color: #888; }
+code { font-size: 12px; color: #ccc; }
+.error { color: #f87171; word-break: break-word; }
+.state { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; }
+.state-closed { background: #14532d; }
+.state-half-open { background: #713f12; }
+.state-open { background: #7f1d1d; }
+`;
+
+/**
+ * Format a timestamp relative to now (e.g. '5m ago')
+ */
+function formatAge(timestamp) {
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h ago`;
+    return `${Math.round(seconds / 86400)}d ago`;
+}
+
+function toIsoTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Collect the status of every enabled provider
+ * Error messages can contain provider URLs and tokens, so they are only included on request.
+ * @param {object} [options]
+ * @param {boolean} [options.includeErrors] - Include the last error message of each provider
+ * @returns {Promise<Array>} - [{ value, displayName, baseUrl, modules, lastResult, lastSuccessAt,
+ *   lastFailureAt, lastError, latency, consecutiveFailures, circuit }], times as ISO strings
+ */
+async function getProviderStatus({ includeErrors = false } = {}) {
+    const records = getModuleRecords();
+
+    return Promise.all(getEnabledProviders().map(async provider => {
+        let baseUrl;
+        try {
+            baseUrl = await getBaseUrl(provider.value) || null;
+        } catch (error) {
+            baseUrl = null;
+        }
+
+        const health = getProviderHealth(provider.value);
+
+        return {
+            value: provider.value,
+            displayName: provider.displayName,
+            baseUrl,
+            modules: records.filter(record => record.provider === provider.value).map(record => ({
+                module: record.module,
+                ref: record.ref,
+                hash: record.hash,
+                version: record.version,
+                fetchedAt: toIsoTime(record.fetchedAt),
+                updatedAt: toIsoTime(record.updatedAt),
+                rolledBackFrom: record.rolledBackFrom,
+                failures: record.failures,
+            })),
+            ...health,
+            lastError: includeErrors ? health.lastError : null,
+            lastSuccessAt: toIsoTime(health.lastSuccessAt),
+            lastFailureAt: toIsoTime(health.lastFailureAt),
+        };
+    }));
+}
+
+/**
+ * Render a time cell: relative time with the exact time as tooltip
+ */
+function timeCell(isoTime) {
+    if (!isoTime) return '<td>never</td>';
+    return `<td title="${escapeHtml(isoTime)}">${escapeHtml(formatAge(Date.parse(isoTime)))}</td>`;
+}
+
+/**
+ * Render the status page
+ * @param {object} options
+ * @param {object} options.manifest - Addon manifest
+ * @param {Array} options.providers - Provider status from getProviderStatus
+ * @param {string} [options.jsonUrl] - Link to the JSON version
+ * @param {boolean} [options.errorsHidden] - Whether error messages were left out
+ * @returns {string} - HTML
+ */
+function statusPage({ manifest, providers, jsonUrl = 'status.json', errorsHidden = false }) {
+    const rowsHtml = providers.map(provider => {
+        const modulesHtml = provider.modules.map(record => `
+                    <div title="${escapeHtml(record.hash || '')}">
+                        ${escapeHtml(record.module)} <code>${escapeHtml(shortHash(record.hash))}</code>
+                        <small>${escapeHtml(record.ref)}${record.version ? ` · v${escapeHtml(record.version)}` : ''}${record.rolledBackFrom ? ` · rolled back from ${escapeHtml(shortHash(record.rolledBackFrom))}` : ''}${record.failures > 0 ? ` · ${record.failures} failed calls` : ''}</small>
+                    </div>`).join('') || 'Not loaded';
+
+        const latency = provider.latency
+            ? `${provider.latency.last} ms<small>median ${provider.latency.median} ms · max ${provider.latency.max} ms (${provider.latency.samples})</small>`
+            : '-';
+
+        return `
+            <tr>
+                <td>${escapeHtml(provider.displayName)}<small>${escapeHtml(provider.value)}</small></td>
+                <td>${provider.baseUrl ? `<a href="${escapeHtml(provider.baseUrl)}" rel="noreferrer">${escapeHtml(provider.baseUrl)}</a>` : '-'}</td>
+                <td>${modulesHtml}</td>
+                ${timeCell(provider.lastSuccessAt)}
+                ${timeCell(provider.lastFailureAt)}
+                <td class="error">${escapeHtml(provider.lastError || '')}</td>
+                <td>${latency}</td>
+                <td>
+                    <span class="state state-${escapeHtml(provider.circuit)}">${escapeHtml(provider.circuit)}</span>
+                    ${provider.consecutiveFailures > 0 ? `<small>${provider.consecutiveFailures} failures in a row</small>` : ''}
+                </td>
+            </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(manifest.name)} - Status</title>
+    <link rel="shortcut icon" href="${escapeHtml(manifest.logo || '')}" type="image/x-icon">
+    <style>${STYLESHEET}</style>
+</head>
+<body>
+<main>
+    <header>
+        <img src="${escapeHtml(manifest.logo || '')}" alt="">
+        <div>
+            <h1>${escapeHtml(manifest.name)} status</h1>
+            <p>Provider health since the addon started. Also available as <a href="${escapeHtml(jsonUrl)}">JSON</a>.</p>
+            ${errorsHidden ? '<p>Error messages are only shown when METRICS_TOKEN is set.</p>' : ''}
+        </div>
+    </header>
+
+    <table>
+        <thead>
+            <tr>
+                <th>Provider</th>
+                <th>Base URL</th>
+                <th>Modules</th>
+                <th>Last success</th>
+                <th>Last failure</th>
+                <th>Last error</th>
+                <th>Latency</th>
+                <th>Circuit</th>
+            </tr>
+        </thead>
+        <tbody>${rowsHtml}
+        </tbody>
+    </table>
+</main>
+</body>
+</html>`;
+}
+
+module.exports = { getProviderStatus, statusPage };
@@ -0,0 +1,131 @@
+/**
+ * Stream Cache
+ * Stale-while-revalidate cache for provider stream results
+ * Fresh results are served directly, stale ones are served while a background refresh runs.
+ * Entries never outlive the expiry tokens embedded in their stream URLs.
+ */
+
+const config = require('../config');
+const { setBounded } = require('./boundedMap');
+const logger = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+
+// Cached results per provider request
+const streamCache = new Map();
+
+// Refreshes in flight, so concurrent requests share one provider call
+const pendingRefreshes = new Map();
+
+// Query parameters providers use for expiry timestamps in signed URLs
+const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'exp', 'e', 'token', 'validity', 'valid_until'];
+
+// Links are dropped this long before their token expires, so playback can still start
+const EXPIRY_MARGIN = 5 * 60 * 1000;
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Build the cache key for a provider request
+ */
+function getStreamCacheKey(providerValue, id, season, episode) {
+    return `${providerValue}:${id}:${season || ''}:${episode || ''}`;
+}
+
+/**
+ * Read the expiry timestamp of a signed URL, if it carries one
+ * @returns {number|null} - Expiry in milliseconds since epoch
+ */
+function getUrlExpiry(url) {
+    let searchParams;
+    try {
+        searchParams = new URL(url).searchParams;
+    } catch (error) {
+        return null;
+    }
+
+    const now = Date.now();
+    for (const param of EXPIRY_PARAMS) {
+        const value = searchParams.get(param);
+        if (!value || !/^\d{10}(\d{3})?$/.test(value)) continue;
+
+        const expiry = value.length === 10 ? Number(value) * 1000 : Number(value);
+        // Ignore numbers that only look like timestamps
+        if (Math.abs(expiry - now) < YEAR) return expiry;
+    }
+    return null;
+}
+
+/**
+ * Earliest token expiry among a list of streams
+ */
+function getStreamsExpiry(streams) {
+    const expiries = streams
+        .map(stream => getUrlExpiry(stream.link))
+        .filter(expiry => expiry !== null);
+    return expiries.length > 0 ? Math.min(...expiries) - EXPIRY_MARGIN : Infinity;
+}
+
+/**
+ * Fetch streams and store them, sharing the call with concurrent requests
+ */
+function refreshStreams(key, fetchStreams) {
+    if (pendingRefreshes.has(key)) {
+        return pendingRefreshes.get(key);
+    }
+
+    const refresh = Promise.resolve()
+        .then(fetchStreams)
+        .then(streams => {
+            streams = streams || [];
+            setBounded(streamCache, key, {
+                streams,
+                cachedAt: Date.now(),
+                expiresAt: getStreamsExpiry(streams),
+            }, config.cache.streamCacheMaxEntries);
+            return streams;
+        })
+        .finally(() => pendingRefreshes.delete(key));
+
+    pendingRefreshes.set(key, refresh);
+    return refresh;
+}
+
+/**
+ * Get streams through the cache
+ * @param {string} key - Cache key from getStreamCacheKey
+ * @param {Function} fetchStreams - Resolves the streams when the cache can't answer
+ * @returns {Promise<Array>} - Streams
+ */
+async function getCachedStreams(key, fetchStreams) {
+    const entry = streamCache.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt && now - entry.cachedAt < config.cache.streamStaleExpiry) {
+        const freshFor = entry.streams.length > 0
+            ? config.cache.streamCacheExpiry
+            : config.cache.emptyStreamCacheExpiry;
+
+        const stale = now - entry.cachedAt >= freshFor;
+        recordCacheLookup('stream', stale ? 'stale' : 'hit');
+        if (stale) {
+            refreshStreams(key, fetchStreams).catch(error => {
+                logger.warn(`Background refresh failed for ${key}: ${error.message}`);
+            });
+        }
+        return entry.streams;
+    }
+
+    recordCacheLookup('stream', 'miss');
+    return refreshStreams(key, fetchStreams);
+}
+
+/**
+ * Drop all cached results of a provider (e.g. after its local module changed)
+ */
+function clearCachedStreams(providerValue) {
+    for (const key of streamCache.keys()) {
+        if (key.startsWith(`${providerValue}:`)) streamCache.delete(key);
+    }
+}
+
+module.exports = { getCachedStreams, getStreamCacheKey, getUrlExpiry, clearCachedStreams };
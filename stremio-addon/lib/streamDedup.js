@@ -0,0 +1,108 @@
+/**
+ * Stream Deduplication
+ * Collapses streams that point at the same file: identical URLs, and mirrors of the
+ * same upload (same normalized filename and size) served by different providers or hosts.
+ * The best-ranked copy is kept and the others are listed as its alternates, complete streams
+ * that can take its place when it gets filtered out or turns out to be dead.
+ */
+
+const { parseSize } = require('./streamFilters');
+const logger = require('./logger');
+
+const VIDEO_EXTENSION = /\.(mkv|mp4|avi|webm|m4v|mov|ts)$/i;
+
+// Providers round sizes differently ("1.5 GB" vs "1.52 GB"), so sizes match within 2%
+const SIZE_TOLERANCE = 0.02;
+
+/**
+ * Key for identical URLs (the fragment never reaches the server)
+ */
+function getUrlKey(link) {
+    return (link || '').trim().split('#')[0];
+}
+
+/**
+ * Filename of a stream: from the provider, or the last segment of a URL ending in a video file
+ */
+function getFileName(stream) {
+    if (stream.fileName) return stream.fileName;
+
+    try {
+        const segment = decodeURIComponent(new URL(stream.link).pathname.split('/').pop());
+        return VIDEO_EXTENSION.test(segment) ? segment : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Normalize a filename so mirrors of the same upload compare equal
+ * e.g. "Inception.2010.1080p.BluRay.x264.mkv" and "Inception 2010 1080p BluRay x264.mp4"
+ */
+function normalizeFileName(fileName) {
+    return fileName
+        .toLowerCase()
+        .replace(VIDEO_EXTENSION, '')
+        .replace(/^\[[^\]]*\]\s*|\s*\[[^\]]*\]$/g, '') // Uploader tags like "[HubCloud]"
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check whether two sizes (in bytes) describe the same file
+ */
+function isSameSize(a, b) {
+    return Math.abs(a - b) <= Math.max(a, b) * SIZE_TOLERANCE;
+}
+
+/**
+ * Deduplicate streams across providers
+ * @param {Array} streams - Vega streams, tagged with providerValue
+ * @param {Map} providerRank - Provider rank in the user's order (lower is better)
+ * @returns {Array} - One stream per file, each with an alternates list of its mirrors
+ */
+function dedupeStreams(streams, providerRank) {
+    const getRank = (stream) => providerRank.get(stream.providerValue) ?? providerRank.size;
+
+    // Stable sort, so the provider's own order decides between its copies
+    const ranked = [...streams].sort((a, b) => getRank(a) - getRank(b));
+
+    const groups = [];
+    const seenUrls = new Set();
+    const byFileName = new Map(); // Normalized filename -> groups with that name
+
+    for (const stream of ranked) {
+        const urlKey = getUrlKey(stream.link);
+        if (!urlKey) continue;
+
+        // The same URL from another provider adds nothing to fall back on
+        if (seenUrls.has(urlKey)) continue;
+        seenUrls.add(urlKey);
+
+        const fileName = getFileName(stream);
+        const nameKey = fileName ? normalizeFileName(fileName) : null;
+        const size = parseSize(stream.size);
+        const group = nameKey && size
+            ? (byFileName.get(nameKey) || []).find(g => isSameSize(g.sizeBytes, size))
+            : null;
+
+        if (group) {
+            group.stream.alternates.push({ ...stream });
+            continue;
+        }
+
+        const newGroup = { stream: { ...stream, alternates: [] }, sizeBytes: size };
+        groups.push(newGroup);
+        if (nameKey && size) {
+            byFileName.set(nameKey, [...(byFileName.get(nameKey) || []), newGroup]);
+        }
+    }
+
+    if (groups.length < streams.length) {
+        logger.debug(`Deduplicated ${streams.length} streams to ${groups.length}`);
+    }
+
+    return groups.map(group => group.stream);
+}
+
+module.exports = { dedupeStreams };
@@ -0,0 +1,201 @@
+/**
+ * Stream Filters
+ * User-configurable filtering of collected streams: quality range, audio languages,
+ * file size, server hosts and a cap on results per provider
+ */
+
+// Language codes accepted in the configuration, mapped to the names providers use
+const LANGUAGE_NAMES = {
+    en: 'english',
+    eng: 'english',
+    hi: 'hindi',
+    hin: 'hindi',
+    ta: 'tamil',
+    tam: 'tamil',
+    te: 'telugu',
+    tel: 'telugu',
+    ml: 'malayalam',
+    mal: 'malayalam',
+    kn: 'kannada',
+    kan: 'kannada',
+    bn: 'bengali',
+    mr: 'marathi',
+    pa: 'punjabi',
+    ja: 'japanese',
+    jpn: 'japanese',
+    ko: 'korean',
+    kor: 'korean',
+    it: 'italian',
+    ita: 'italian',
+    es: 'spanish',
+    spa: 'spanish',
+    fr: 'french',
+    de: 'german',
+};
+
+// Server names and the hosts they stream from
+const SERVER_ALIASES = {
+    gdrive: ['gdrive', 'drive.google', 'googleusercontent'],
+    streamwish: ['streamwish', 'wish'],
+    pixeldrain: ['pixeldrain'],
+    gofile: ['gofile'],
+};
+
+const SIZE_UNITS = { KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+/**
+ * Read a list option (array or comma separated string)
+ */
+function parseList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Read a positive number option
+ */
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Normalize a language to the name providers use (e.g. 'hi' -> 'hindi')
+ */
+function normalizeLanguage(language) {
+    const lower = language.toLowerCase();
+    return LANGUAGE_NAMES[lower] || lower;
+}
+
+/**
+ * Read the stream filters from a user configuration
+ * @param {object} userConfig - Configuration from the install URL
+ * @returns {object} - Normalized filters
+ */
+function parseStreamFilters(userConfig = {}) {
+    return {
+        minQuality: parseNumber(userConfig.minQuality),
+        maxQuality: parseNumber(userConfig.maxQuality),
+        preferredLanguages: parseList(userConfig.languages).map(normalizeLanguage),
+        excludedLanguages: parseList(userConfig.excludeLanguages).map(normalizeLanguage),
+        maxSizeBytes: parseNumber(userConfig.maxSize) ? parseNumber(userConfig.maxSize) * SIZE_UNITS.GB : null,
+        excludedServers: parseList(userConfig.excludeServers),
+        maxPerProvider: parseNumber(userConfig.maxPerProvider),
+    };
+}
+
+/**
+ * Quality of a stream as a number (e.g. 1080), or null if unknown
+ */
+function getStreamQuality(stream) {
+    const match = (stream.quality || '').toString().match(/\d{3,4}/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Size of a stream in bytes (from "1.2 GB" or "1.2 GiB" style sizes), or null if unknown
+ */
+function parseSize(size) {
+    const match = (size || '').toString().match(/(\d+(?:\.\d+)?)\s*([KMGT])i?B/i);
+    return match ? parseFloat(match[1]) * SIZE_UNITS[`${match[2].toUpperCase()}B`] : null;
+}
+
+/**
+ * Audio languages of a stream (e.g. "Hindi-English" -> ['hindi', 'english'])
+ */
+function getStreamLanguages(stream) {
+    return (stream.language || '')
+        .split(/[-,|/&+\s]+/)
+        .map(language => normalizeLanguage(language.trim()))
+        .filter(Boolean);
+}
+
+/**
+ * Check whether a stream is served by one of the excluded servers
+ */
+function isExcludedServer(stream, excludedServers) {
+    let hostname = '';
+    try {
+        hostname = new URL(stream.link).hostname;
+    } catch (error) {
+        // Keep matching on the server name only
+    }
+    const haystack = `${stream.server || ''} ${hostname}`.toLowerCase();
+
+    return excludedServers.some(server =>
+        (SERVER_ALIASES[server] || [server]).some(alias => haystack.includes(alias))
+    );
+}
+
+/**
+ * Check whether a single stream passes the quality, size, language and server filters
+ * Streams with unknown quality, size or language pass.
+ */
+function matchesFilters(stream, filters) {
+    const quality = getStreamQuality(stream);
+    if (quality && filters.minQuality && quality < filters.minQuality) return false;
+    if (quality && filters.maxQuality && quality > filters.maxQuality) return false;
+
+    const size = parseSize(stream.size);
+    if (size && filters.maxSizeBytes && size > filters.maxSizeBytes) return false;
+
+    const languages = getStreamLanguages(stream);
+    if (filters.excludedLanguages.length > 0 && languages.length > 0
+        && languages.every(language => filters.excludedLanguages.includes(language))) {
+        return false;
+    }
+
+    if (filters.excludedServers.length > 0 && isExcludedServer(stream, filters.excludedServers)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Keep the first copy of a deduplicated stream that passes the filters
+ * A kept copy on an excluded server is replaced by its first passing alternate, so a group
+ * is only dropped when none of its copies pass.
+ * @returns {object|null} - The passing copy with the other passing copies as its alternates
+ */
+function pickPassingCopy(stream, filters) {
+    const { alternates, ...primary } = stream;
+    const [kept, ...rest] = [primary, ...(alternates || [])].filter(copy => matchesFilters(copy, filters));
+    if (!kept) return null;
+    return alternates ? { ...kept, alternates: rest } : kept;
+}
+
+/**
+ * Apply the user's filters to collected streams
+ * Streams with unknown quality, size or language are kept. Streams in a preferred
+ * language get a lower languageRank so they can be listed first.
+ * @param {Array} streams - Vega streams, deduplicated streams with their alternates
+ * @param {object} filters - Result of parseStreamFilters
+ * @returns {Array} - Filtered streams, each with a languageRank
+ */
+function applyStreamFilters(streams, filters) {
+    const filtered = streams.map(stream => pickPassingCopy(stream, filters)).filter(Boolean).map(stream => {
+        const languages = getStreamLanguages(stream);
+        const preferredIndex = filters.preferredLanguages.findIndex(language => languages.includes(language));
+        return {
+            ...stream,
+            languageRank: preferredIndex === -1 ? filters.preferredLanguages.length : preferredIndex,
+        };
+    });
+
+    if (!filters.maxPerProvider) return filtered;
+
+    // Keep each provider's best streams (preferred language, then quality)
+    const perProvider = new Map();
+    return [...filtered]
+        .sort((a, b) => a.languageRank - b.languageRank || (getStreamQuality(b) || 0) - (getStreamQuality(a) || 0))
+        .filter(stream => {
+            const key = stream.providerValue || stream.providerName;
+            const count = perProvider.get(key) || 0;
+            perProvider.set(key, count + 1);
+            return count < filters.maxPerProvider;
+        });
+}
+
+module.exports = { parseStreamFilters, applyStreamFilters, parseSize };
@@ -0,0 +1,203 @@
+/**
+ * Stream Probe
+ * Optional liveness check for stream links: a bounded range request per link (with the
+ * stream's own headers) drops links that 404 or serve an HTML page instead of video,
+ * and fills in the size from the response when the provider gave none. A dead link is
+ * replaced by the first live mirror among its alternates (see streamDedup.js).
+ */
+
+const { Buffer } = require('buffer');
+const axios = require('axios');
+const config = require('../config');
+const { setBounded } = require('./boundedMap');
+const { mapWithConcurrency } = require('./scheduler');
+const logger = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+
+// Probe results per URL
+const probeCache = new Map();
+
+// Probes in flight, so concurrent requests share one check
+const pendingProbes = new Map();
+
+// Bytes read from the start of a response to recognize HTML error pages
+const SNIFF_BYTES = 512;
+
+// Network errors that mean the host won't serve the link at all
+const DEAD_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'CERT_HAS_EXPIRED'];
+
+/**
+ * Format a byte count like provider sizes ("1.25 GB")
+ */
+function formatSize(bytes) {
+    if (bytes >= 1073741824) return `${(bytes / 1073741824).toFixed(2)} GB`;
+    return `${(bytes / 1048576).toFixed(2)} MB`;
+}
+
+/**
+ * Read the full file size from a range or plain response
+ */
+function getResponseSize(response) {
+    const contentRange = response.headers['content-range'];
+    const total = contentRange && contentRange.match(/\/(\d+)$/);
+    if (total) return Number(total[1]);
+
+    const contentLength = Number(response.headers['content-length']);
+    return response.status === 200 && contentLength > 0 ? contentLength : null;
+}
+
+/**
+ * Read the first bytes of a response body, then close the connection
+ */
+function readHead(body) {
+    return new Promise(resolve => {
+        let head = Buffer.alloc(0);
+        const finish = () => {
+            body.destroy();
+            resolve(head.toString('utf8', 0, SNIFF_BYTES));
+        };
+
+        body.on('data', chunk => {
+            head = Buffer.concat([head, chunk]);
+            if (head.length >= SNIFF_BYTES) finish();
+        });
+        body.on('end', finish);
+        body.on('error', finish);
+    });
+}
+
+/**
+ * Check a stream link
+ * @returns {Promise<object>} - { alive, size, reason }; links that can't be checked count as alive
+ */
+async function checkStream(stream) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeout.streamProbe);
+
+    try {
+        const response = await axios.get(stream.link, {
+            headers: { ...config.headers, ...stream.headers, Range: 'bytes=0-1023' },
+            responseType: 'stream',
+            signal: controller.signal,
+            maxRedirects: 5,
+            validateStatus: () => true,
+        });
+
+        const head = await readHead(response.data);
+
+        // 416 means the server rejects the range, not the file
+        if (response.status >= 400 && response.status !== 416) {
+            return { alive: false, size: null, reason: `HTTP ${response.status}` };
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        const isPlaylist = head.trimStart().startsWith('#EXTM3U');
+        if (!isPlaylist && (contentType.includes('text/html') || /^\s*<(!doctype|html)/i.test(head))) {
+            return { alive: false, size: null, reason: 'HTML page' };
+        }
+
+        return { alive: true, size: isPlaylist ? null : getResponseSize(response), reason: null };
+    } catch (error) {
+        if (DEAD_ERROR_CODES.includes(error.code)) {
+            return { alive: false, size: null, reason: error.code };
+        }
+        return { alive: true, size: null, reason: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Check a stream link through the cache
+ */
+function probeStream(stream) {
+    const entry = probeCache.get(stream.link);
+    if (entry && Date.now() - entry.checkedAt < config.cache.probeCacheExpiry) {
+        recordCacheLookup('probe', 'hit');
+        return Promise.resolve(entry.result);
+    }
+    recordCacheLookup('probe', 'miss');
+
+    if (pendingProbes.has(stream.link)) {
+        return pendingProbes.get(stream.link);
+    }
+
+    const probe = checkStream(stream)
+        .then(result => {
+            setBounded(probeCache, stream.link, { result, checkedAt: Date.now() }, config.cache.probeCacheMaxEntries);
+            return result;
+        })
+        .finally(() => pendingProbes.delete(stream.link));
+
+    pendingProbes.set(stream.link, probe);
+    return probe;
+}
+
+/**
+ * Check whether probing is enabled for a user (STREAM_PROBE enables it for everyone)
+ */
+function isProbeEnabled(userConfig = {}) {
+    return config.probe.enabled || userConfig.probe === true || userConfig.probe === 'true' || userConfig.probe === 'on';
+}
+
+/**
+ * Check a stream link, giving up at the deadline
+ * A probe still running at the deadline keeps going and caches its result for later requests,
+ * the link just counts as alive for this one.
+ */
+function probeStreamBefore(stream, deadline) {
+    let timer;
+    const timeLeft = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ alive: true, size: null, reason: 'Not checked in time' }), deadline - Date.now());
+    });
+
+    return Promise.race([probeStream(stream), timeLeft]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Find the first live copy of a stream, trying its alternates after it
+ * @returns {Promise<object|null>} - The live copy with the copies not found dead as its alternates
+ */
+async function findLiveCopy(stream, deadline) {
+    const { alternates, ...primary } = stream;
+    const copies = [primary, ...(alternates || [])];
+
+    for (let index = 0; index < copies.length; index++) {
+        const copy = copies[index];
+        const result = Date.now() < deadline
+            ? await probeStreamBefore(copy, deadline)
+            : { alive: true, size: null, reason: 'Not checked in time' };
+
+        if (!result.alive) {
+            logger.debug(`Dropped dead link from ${copy.providerName || 'provider'} (${result.reason})`);
+            continue;
+        }
+
+        const live = !copy.size && result.size ? { ...copy, size: formatSize(result.size) } : copy;
+        return alternates ? { ...live, alternates: copies.slice(index + 1) } : live;
+    }
+
+    return null;
+}
+
+/**
+ * Probe streams, replacing dead links by live alternates and filling in missing sizes
+ * Does nothing unless probing is enabled. Links not checked by the deadline are kept.
+ * @param {Array} streams - Vega streams, deduplicated streams with their alternates
+ * @param {object} options
+ * @param {boolean} options.enabled - Whether probing is enabled for this request (see isProbeEnabled)
+ * @param {number} options.deadline - Time the request has to answer by (timestamp in milliseconds)
+ * @returns {Promise<Array>} - Live streams
+ */
+async function probeStreams(streams, { enabled, deadline }) {
+    if (!enabled || streams.length === 0) return streams;
+    if (Date.now() >= deadline) {
+        logger.debug('No time left to probe stream links');
+        return streams;
+    }
+
+    const results = await mapWithConcurrency(streams, config.probe.concurrency, stream => findLiveCopy(stream, deadline));
+    return results.filter(Boolean);
+}
+
+module.exports = { isProbeEnabled, probeStreams };
@@ -0,0 +1,241 @@
+/**
+ * Stream Relay
+ * Proxies video through the addon with the provider's headers (Referer, Cookie, ...)
+ * for clients that ignore behaviorHints.proxyHeaders. Range requests are forwarded so
+ * seeking works. Relay tokens are encrypted and expire, so the endpoint is not an open proxy
+ * and the headers and cookies they carry can't be read from the URL.
+ * Relaying needs ADDON_URL, the address players reach the addon at.
+ */
+
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('./logger');
+
+// Response headers passed from the upstream server to the player
+const FORWARDED_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'accept-ranges',
+    'last-modified',
+    'etag',
+];
+
+// AES-256-GCM: tokens are encrypted and authenticated with one key
+const TOKEN_CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const secret = config.relay.secret || crypto.randomBytes(32).toString('hex');
+const tokenKey = crypto.createHash('sha256').update(`relay-token:${secret}`).digest();
+
+if (!config.relay.publicUrl) {
+    logger.warn('ADDON_URL not set, streams will not be relayed');
+} else if (!config.relay.secret) {
+    logger.warn('RELAY_SECRET not set, relay URLs will stop working when the addon restarts');
+}
+
+/**
+ * Check whether a stream is an HLS playlist
+ */
+function isHlsStream(stream) {
+    return stream.type === 'hls' || stream.type === 'm3u8' || /\.m3u8($|\?)/i.test(stream.link || '');
+}
+
+/**
+ * Check whether the relay can be used (players need the addon's public URL to reach it)
+ */
+function isRelayAvailable() {
+    return !!config.relay.publicUrl;
+}
+
+/**
+ * Check whether a stream should go through the relay for this user
+ * Only streams that need headers are relayed.
+ */
+function shouldRelay(stream, userConfig = {}) {
+    const enabled = userConfig.relay === true || userConfig.relay === 'true' || userConfig.relay === 'on';
+    return enabled && isRelayAvailable() && !!stream.headers && Object.keys(stream.headers).length > 0;
+}
+
+/**
+ * Build an encrypted token for a relayed URL
+ * @param {string} url - Upstream URL
+ * @param {object} headers - Headers to send upstream
+ * @param {string} [kind] - What the URL serves, for the HLS proxy ('playlist' or 'media')
+ */
+function createRelayToken(url, headers, kind) {
+    const payload = JSON.stringify({
+        url,
+        headers: headers || {},
+        kind,
+        expires: Date.now() + config.relay.linkExpiry,
+    });
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(TOKEN_CIPHER, tokenKey, iv);
+    const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+/**
+ * Build a relay URL on the addon
+ * @param {string} route - 'relay' or 'hls'
+ * @param {string} token - Result of createRelayToken
+ * @param {string} url - Upstream URL, its filename is kept for players that sniff the extension
+ * @param {string} defaultName - Filename used when the URL has none
+ */
+function buildRelayUrl(route, token, url, defaultName) {
+    let fileName = defaultName;
+    try {
+        // The pathname is percent-encoded already, it's encoded again below
+        fileName = decodeURIComponent(new URL(url).pathname.split('/').pop()) || fileName;
+    } catch (error) {
+        // Keep the default name
+    }
+
+    const baseUrl = config.relay.publicUrl.replace(/\/+$/, '');
+    return `${baseUrl}/${route}/${token}/${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Build a relay URL for a stream
+ * HLS playlists go through the HLS proxy so their segments and keys get the headers too.
+ * @param {object} stream - Vega stream with link and headers
+ * @returns {string} - Relay URL
+ */
+function getRelayUrl(stream) {
+    if (isHlsStream(stream)) {
+        const token = createRelayToken(stream.link, stream.headers, 'playlist');
+        return buildRelayUrl('hls', token, stream.link, 'playlist.m3u8');
+    }
+    return buildRelayUrl('relay', createRelayToken(stream.link, stream.headers), stream.link, 'video');
+}
+
+/**
+ * Decrypt and verify a relay token
+ * @returns {object|null} - { url, headers, kind } or null if the token is invalid or expired
+ */
+function readRelayToken(token) {
+    const data = Buffer.from(token || '', 'base64url');
+    if (data.length <= IV_BYTES + TAG_BYTES) return null;
+
+    try {
+        const decipher = crypto.createDecipheriv(TOKEN_CIPHER, tokenKey, data.subarray(0, IV_BYTES));
+        decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+        const payload = Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+
+        const target = JSON.parse(payload.toString('utf8'));
+        return target.expires > Date.now() ? target : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Answer a HEAD request with the upstream headers, without downloading the body
+ * Hosts that don't support HEAD are asked for the first byte instead, and its
+ * Content-Range gives the full size.
+ */
+async function proxyHead(req, res, request) {
+    let response = await request('head');
+    let firstByte = false;
+    if (response.status === 405 || response.status === 501) {
+        response = await request('get', { Range: req.headers.range || 'bytes=0-0' });
+        firstByte = !req.headers.range;
+    }
+    response.data.destroy();
+
+    const headers = { ...response.headers };
+    let status = response.status;
+    if (firstByte && status === 206) {
+        const size = headers['content-range']?.split('/')[1];
+        status = 200;
+        delete headers['content-range'];
+        if (size && size !== '*') headers['content-length'] = size;
+        else delete headers['content-length'];
+    }
+
+    res.status(status);
+    FORWARDED_HEADERS.forEach(header => {
+        if (headers[header]) res.setHeader(header, headers[header]);
+    });
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.end();
+}
+
+/**
+ * Send an upstream response to the player, forwarding range requests
+ * HEAD requests only get the headers (see proxyHead).
+ * @param {object} target - { url, headers }
+ */
+async function proxyStream(target, req, res) {
+    const controller = new AbortController();
+    const connectTimer = setTimeout(() => controller.abort(), config.timeout.relayConnect);
+    // Stop the upstream download when the player disconnects (e.g. on seek)
+    res.on('close', () => controller.abort());
+
+    const request = (method, headers = {}) => axios.request({
+        url: target.url,
+        method: method,
+        headers: {
+            ...config.headers,
+            ...target.headers,
+            ...(req.headers.range ? { Range: req.headers.range } : {}),
+            ...headers,
+        },
+        responseType: 'stream',
+        signal: controller.signal,
+        maxRedirects: 5,
+        validateStatus: () => true,
+    });
+
+    try {
+        if (req.method === 'HEAD') {
+            await proxyHead(req, res, request);
+            clearTimeout(connectTimer);
+            return;
+        }
+
+        const response = await request('get');
+        clearTimeout(connectTimer);
+
+        res.status(response.status);
+        FORWARDED_HEADERS.forEach(header => {
+            if (response.headers[header]) res.setHeader(header, response.headers[header]);
+        });
+        res.setHeader('Access-Control-Allow-Origin', '*');
+
+        response.data.on('error', () => res.destroy());
+        response.data.pipe(res);
+    } catch (error) {
+        clearTimeout(connectTimer);
+        logger.error(`Relay error: ${error.message}`);
+        if (!res.headersSent) res.status(502).end();
+    }
+}
+
+/**
+ * Express handler for /relay/:token/:filename?
+ */
+async function relayHandler(req, res) {
+    const target = readRelayToken(req.params.token);
+    if (!target) {
+        res.status(403).end();
+        return;
+    }
+    await proxyStream(target, req, res);
+}
+
+module.exports = {
+    isRelayAvailable,
+    shouldRelay,
+    getRelayUrl,
+    createRelayToken,
+    buildRelayUrl,
+    readRelayToken,
+    proxyStream,
+    relayHandler,
+};
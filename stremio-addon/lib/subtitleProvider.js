@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const config = require('../config');
+const logger = require('./logger');
 
 // Cache for subtitles
 const subtitleCache = new Map();
@@ -31,7 +32,7 @@ async function getSubtitles(imdbId, type = 'movie', season = null, episode = nul
         const openSubs = await fetchFromOpenSubtitles(imdbId, type, season, episode);
         subtitles.push(...openSubs);
     } catch (error) {
-        console.log('OpenSubtitles fetch failed:', error.message);
+        logger.warn(`OpenSubtitles fetch failed: ${error.message}`);
     }
 
     // Try SubDivX for Spanish subtitles
@@ -85,7 +86,7 @@ async function fetchFromOpenSubtitles(imdbId, type, season, episode) {
             }
         }
     } catch (error) {
-        console.log('OpenSubtitles v3 failed:', error.message);
+        logger.warn(`OpenSubtitles v3 failed: ${error.message}`);
 
         // Fallback to OpenSubtitles v2
         try {
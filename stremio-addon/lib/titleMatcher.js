@@ -0,0 +1,155 @@
+/**
+ * Title Matcher
+ * Scores provider search results against the requested title, so search-based providers
+ * don't pick sequels, remakes or the wrong season just because they were listed first
+ */
+
+const config = require('../config');
+const { parseSeasonNumber } = require('./linkList');
+
+// Release tags that providers put in post titles
+const RELEASE_TAGS = /\b(?:2160p|1440p|1080p|720p|576p|480p|360p|4k|uhd|hdr|hdr10|dv|web[\s-]?dl|web[\s-]?rip|hdrip|hdtv|blu[\s-]?ray|brrip|bdrip|dvdrip|hdcam|camrip|x264|x265|h264|h265|hevc|10bit|aac|ddp?\s?5\s?1|atmos|esubs?|msubs?|dual[\s-]audio|multi[\s-]audio|hindi|english|tamil|telugu|dubbed|org|complete|full\s+movie|download|watch\s+online)\b/g;
+
+// Season markers: "Season 2", "S02", "S02E05", "Season 1-3"
+const SEASON_MARKER = /\b(?:season\s*\d{1,2}(?:\s*(?:-|to)\s*\d{1,2})?|s\d{1,2}(?:e\d{1,4})?)\b/g;
+
+const SERIES_HINT = /\b(?:season|s\d{1,2}e?\d*|episodes?|series|tv\s+show)\b/i;
+
+// Numbers that look like a year ("2017", but also the "2049" of "Blade Runner 2049")
+const YEAR_NUMBER = /\b(?:19|20)\d{2}\b/g;
+
+/**
+ * Year-like numbers that are part of the requested titles, so they aren't read as years
+ * @param {Array<string>} titles - Requested titles
+ * @returns {Set<string>}
+ */
+function getTitleNumbers(titles) {
+    return new Set(titles.flatMap(title => String(title).match(YEAR_NUMBER) || []));
+}
+
+/**
+ * Normalize a title for comparison
+ * e.g. "The Dark Knight (2008) 1080p BluRay [Hindi-English]" -> "dark knight"
+ * @param {string} title - Title to normalize
+ * @param {Set<string>} [titleNumbers] - Year-like numbers to keep (see getTitleNumbers)
+ */
+function normalizeTitle(title, titleNumbers = new Set()) {
+    return (title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Diacritics
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’`]/g, '') // "Schindler's" -> "schindlers"
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(RELEASE_TAGS, ' ')
+        .replace(SEASON_MARKER, ' ')
+        .trim()
+        // Years, unless the title starts with one ("1917") or has it in its name ("Blade Runner 2049")
+        .replace(YEAR_NUMBER, (number, offset) => (offset === 0 || titleNumbers.has(number) ? number : ' '))
+        .replace(/^(?:the|a|an)\s+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Read a release year from a title
+ * The last year in brackets wins ("Blade Runner 2049 (2017)"), then the last one left over.
+ * A leading number is part of the name, as in "1917 (2019)", and so are the titleNumbers.
+ * @param {string} title - Result title
+ * @param {Set<string>} [titleNumbers] - Year-like numbers of the requested titles
+ * @returns {number|null}
+ */
+function parseYear(title, titleNumbers = new Set()) {
+    const text = (title || '').trim();
+    const years = [...text.matchAll(YEAR_NUMBER)]
+        .filter(match => match.index > 0 && !titleNumbers.has(match[0]));
+    if (years.length === 0) return null;
+
+    const bracketed = years.filter(match => /[([]\s*$/.test(text.slice(0, match.index)));
+    const year = bracketed.length > 0 ? bracketed[bracketed.length - 1] : years[years.length - 1];
+    return parseInt(year[0], 10);
+}
+
+/**
+ * Similarity of two normalized titles (0-1), by shared words
+ * "inception" vs "inception 2" scores lower than an exact match, so sequels lose.
+ */
+function titleSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const wordsA = a.split(' ');
+    const wordsB = b.split(' ');
+    const remaining = [...wordsB];
+    let shared = 0;
+    for (const word of wordsA) {
+        const index = remaining.indexOf(word);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    }
+    return (2 * shared) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Score a search result against the requested title
+ * @param {object} result - Search result ({ title, link })
+ * @param {object} movieInfo - Requested title ({ title, year, originalTitle, aliases })
+ * @param {object} params - Stream parameters ({ type, season })
+ * @returns {number} - Score, higher is better; -Infinity when the year rules the result out
+ */
+function scoreResult(result, movieInfo, params) {
+    // Localized and original-language posts match on the alternate titles
+    const titles = [movieInfo.title, movieInfo.originalTitle, ...(movieInfo.aliases || [])].filter(Boolean);
+    const titleNumbers = getTitleNumbers(titles);
+    const resultTitle = normalizeTitle(result.title, titleNumbers);
+    let score = Math.max(...titles.map(title => titleSimilarity(resultTitle, normalizeTitle(title, titleNumbers))));
+
+    // A year more than one off is another release of the title ("Dune (1984)" for Dune 2021),
+    // however well the title matches
+    const wantedYear = parseInt(movieInfo.year, 10);
+    const year = parseYear(result.title, titleNumbers);
+    if (wantedYear && year) {
+        const distance = Math.abs(year - wantedYear);
+        if (params.type === 'series') {
+            // Posts of later seasons carry that season's year, only earlier years are suspicious
+            if (year < wantedYear - 1) return -Infinity;
+            if (distance === 0) score += 0.1;
+        } else if (distance === 0) {
+            score += 0.15;
+        } else if (distance === 1) {
+            score += 0.05; // Festival vs. theatrical release years
+        } else {
+            return -Infinity;
+        }
+    }
+
+    const looksLikeSeries = SERIES_HINT.test(result.title || '');
+    if (params.type === 'movie' && looksLikeSeries) score -= 0.45;
+
+    if (params.type === 'series' && params.season) {
+        const season = parseSeasonNumber(result.title);
+        if (season === Number(params.season)) score += 0.1;
+        else if (season) score -= 0.2;
+    }
+
+    return score;
+}
+
+/**
+ * Rank search results by how well they match the requested title
+ * @param {Array} results - Search results ({ title, link })
+ * @param {object} movieInfo - Requested title ({ title, year })
+ * @param {object} params - Stream parameters ({ type, season })
+ * @returns {Array} - { result, score } above the match threshold, best first
+ */
+function rankSearchResults(results, movieInfo, params) {
+    return results
+        .filter(result => result && result.link)
+        .map(result => ({ result, score: scoreResult(result, movieInfo, params) }))
+        .filter(candidate => candidate.score >= config.search.matchThreshold)
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { rankSearchResults };
@@ -0,0 +1,48 @@
+/**
+ * Vega ID helpers
+ * Encodes provider-native posts as Stremio IDs: vega:<provider>:<base64url link>
+ * Series episodes append the season and episode: vega:<provider>:<base64url link>:<season>:<episode>
+ */
+
+const { Buffer } = require('buffer');
+
+const VEGA_ID_PREFIX = 'vega:';
+
+/**
+ * Build a Stremio ID for a provider post
+ * @param {string} providerValue - Provider value (e.g., 'vega')
+ * @param {string} link - Post link as returned by the provider
+ * @returns {string} - Stremio ID
+ */
+function encodeVegaId(providerValue, link) {
+    return `${VEGA_ID_PREFIX}${providerValue}:${Buffer.from(link).toString('base64url')}`;
+}
+
+/**
+ * Parse a Stremio ID built by encodeVegaId
+ * @param {string} id - Stremio ID
+ * @returns {object|null} - { metaId, providerValue, link, season, episode } or null if not a Vega ID
+ */
+function decodeVegaId(id) {
+    if (!isVegaId(id)) return null;
+
+    const [providerValue, encodedLink, season, episode] = id.slice(VEGA_ID_PREFIX.length).split(':');
+    if (!/^[\w-]+$/.test(providerValue || '') || !encodedLink) return null;
+
+    return {
+        metaId: `${VEGA_ID_PREFIX}${providerValue}:${encodedLink}`,
+        providerValue,
+        link: Buffer.from(encodedLink, 'base64url').toString(),
+        season: season ? parseInt(season, 10) : null,
+        episode: episode ? parseInt(episode, 10) : null,
+    };
+}
+
+/**
+ * Check whether an ID uses the Vega scheme
+ */
+function isVegaId(id) {
+    return typeof id === 'string' && id.startsWith(VEGA_ID_PREFIX);
+}
+
+module.exports = { VEGA_ID_PREFIX, encodeVegaId, decodeVegaId, isVegaId };